@@ -0,0 +1,255 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createLogger } = require("./logger");
+
+// Interactive reads get short timeouts so the caller is not left in silence
+// mid-tool-call; writes are durable and fall back to the on-disk outbox.
+const ACTION_POLICIES = {
+  getSettings: { timeoutMs: 4000, retries: 1 },
+  lookupByPhone: { timeoutMs: 3000, retries: 1 },
+  lookupCaller: { timeoutMs: 2500, retries: 0 },
+  checkAvailability: { timeoutMs: 5000, retries: 1 },
+  saveLead: { timeoutMs: 5000, retries: 2, durable: true },
+  bookAppointment: { timeoutMs: 6000, retries: 2, durable: true },
+  saveCallLog: { timeoutMs: 15000, retries: 3, durable: true },
+  saveVoicemail: { timeoutMs: 10000, retries: 3, durable: true },
+};
+const DEFAULT_POLICY = { timeoutMs: 5000, retries: 1 };
+
+const BREAKER_FAILURE_THRESHOLD = 5;
+const BREAKER_COOLDOWN_MS = 30000;
+const OUTBOX_REPLAY_INTERVAL_MS = 30000;
+const OUTBOX_MAX_ATTEMPTS = 50;
+
+class Base44Error extends Error {
+  constructor(message, { status = 0, retryable = true } = {}) {
+    super(message);
+    this.name = "Base44Error";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// Per-call keys: one call log per call, and one key per distinct write payload
+// so a tool the model re-sends during a retry or reconnect is not applied twice.
+function idempotencyKey(callSid, action, data) {
+  if (action === "saveCallLog" || action === "saveVoicemail") return `${callSid}:${action}`;
+  const digest = crypto.createHash("sha256").update(JSON.stringify(data || {})).digest("hex").slice(0, 16);
+  return `${callSid}:${action}:${digest}`;
+}
+
+function createCircuitBreaker() {
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  return {
+    get state() {
+      if (!openedAt) return "closed";
+      return Date.now() - openedAt >= BREAKER_COOLDOWN_MS ? "half_open" : "open";
+    },
+    allow() {
+      const state = this.state;
+      if (state === "closed") return true;
+      if (state === "half_open" && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+    success() {
+      const wasOpen = !!openedAt;
+      failures = 0;
+      openedAt = 0;
+      trialInFlight = false;
+      return wasOpen;
+    },
+    failure() {
+      failures++;
+      trialInFlight = false;
+      if (openedAt || failures >= BREAKER_FAILURE_THRESHOLD) {
+        const wasClosed = !openedAt;
+        openedAt = Date.now();
+        return wasClosed;
+      }
+      return false;
+    },
+  };
+}
+
+function createBase44Client({ url, secret, outboxDir, log = createLogger({ component: "base44" }), onRequest = () => {} }) {
+  const breaker = createCircuitBreaker();
+  const pendingKeys = new Set();
+  let replaying = false;
+
+  async function send(action, companyId, data, key, timeoutMs) {
+    const headers = {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${secret}`,
+    };
+    if (key) headers["Idempotency-Key"] = key;
+
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ action, companyId, data, idempotency_key: key || undefined }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (e) {
+      const timedOut = e.name === "TimeoutError" || e.name === "AbortError";
+      throw new Base44Error(timedOut ? `timed out after ${timeoutMs}ms` : e.message);
+    }
+
+    if (!resp.ok) {
+      const text = await resp.text();
+      log.error("Request failed", { action, companyId, status: resp.status, response: text });
+      throw new Base44Error(`Base44 ${action} failed: ${resp.status}`, {
+        status: resp.status,
+        retryable: resp.status >= 500 || resp.status === 429,
+      });
+    }
+    return resp.json();
+  }
+
+  async function attempt(action, companyId, data, key, policy) {
+    for (let i = 0; ; i++) {
+      if (!breaker.allow()) throw new Base44Error("Base44 circuit open, failing fast");
+
+      const startedAt = Date.now();
+      try {
+        const result = await send(action, companyId, data, key, policy.timeoutMs);
+        onRequest(action, (Date.now() - startedAt) / 1000, true);
+        if (breaker.success()) {
+          log.info("Circuit closed, Base44 recovered");
+          replayOutbox();
+        }
+        return result;
+      } catch (e) {
+        onRequest(action, (Date.now() - startedAt) / 1000, false);
+        if (!e.retryable) throw e;
+        if (breaker.failure()) log.warn("Circuit opened after repeated failures", { cooldownMs: BREAKER_COOLDOWN_MS });
+        if (i >= policy.retries) throw e;
+
+        const delay = Math.min(250 * 2 ** i, 2000) + Math.floor(Math.random() * 100);
+        log.warn("Retrying", { action, companyId, attempt: i + 1, delayMs: delay, err: e });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  function outboxPath(key) {
+    return path.join(outboxDir, `${key.replace(/[^a-zA-Z0-9_.-]/g, "_")}.json`);
+  }
+
+  async function enqueue(entry) {
+    try {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      await fs.promises.writeFile(outboxPath(entry.key), JSON.stringify(entry));
+      pendingKeys.add(entry.key);
+      log.warn("Queued write in outbox", { action: entry.action, companyId: entry.companyId, key: entry.key });
+      return true;
+    } catch (e) {
+      log.error("Failed to write outbox entry, data lost", { action: entry.action, companyId: entry.companyId, key: entry.key, err: e });
+      return false;
+    }
+  }
+
+  async function readOutbox() {
+    let files;
+    try {
+      files = await fs.promises.readdir(outboxDir);
+    } catch (e) {
+      return [];
+    }
+    const entries = [];
+    for (const file of files.filter((f) => f.endsWith(".json"))) {
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(path.join(outboxDir, file), "utf8"));
+        entries.push({ file, entry });
+        pendingKeys.add(entry.key);
+      } catch (e) {
+        log.error("Unreadable outbox entry", { file, err: e });
+      }
+    }
+    return entries.sort((a, b) => a.entry.created_at.localeCompare(b.entry.created_at));
+  }
+
+  async function replayOutbox() {
+    if (replaying || !url || breaker.state === "open") return;
+    replaying = true;
+    try {
+      for (const { file, entry } of await readOutbox()) {
+        const filePath = path.join(outboxDir, file);
+        const policy = ACTION_POLICIES[entry.action] || DEFAULT_POLICY;
+        try {
+          await attempt(entry.action, entry.companyId, entry.data, entry.key, { ...policy, retries: 0 });
+          await fs.promises.unlink(filePath);
+          pendingKeys.delete(entry.key);
+          log.info("Replayed outbox entry", { action: entry.action, companyId: entry.companyId, key: entry.key });
+        } catch (e) {
+          entry.attempts = (entry.attempts || 0) + 1;
+          entry.last_error = e.message;
+          if (!e.retryable || entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+            await fs.promises.rename(filePath, `${filePath}.failed`);
+            pendingKeys.delete(entry.key);
+            log.error("Giving up on outbox entry", { action: entry.action, companyId: entry.companyId, key: entry.key, attempts: entry.attempts, err: e });
+            continue;
+          }
+          await fs.promises.writeFile(filePath, JSON.stringify(entry));
+          break;
+        }
+      }
+    } catch (e) {
+      log.error("Outbox replay error", { err: e });
+    } finally {
+      replaying = false;
+    }
+  }
+
+  async function call(action, companyId, data, { callSid } = {}) {
+    if (!url) {
+      log.error("No BASE44_API_URL configured", { action, companyId });
+      return { error: "Base44 API not configured" };
+    }
+
+    const policy = ACTION_POLICIES[action] || DEFAULT_POLICY;
+    const key = policy.durable && callSid ? idempotencyKey(callSid, action, data) : null;
+
+    try {
+      return await attempt(action, companyId, data, key, policy);
+    } catch (e) {
+      log.error("Request error", { action, companyId, err: e });
+      if (!policy.durable || !e.retryable) return { error: e.message };
+
+      const queued = await enqueue({
+        key: key || `${crypto.randomUUID()}:${action}`,
+        action,
+        companyId,
+        data,
+        attempts: 0,
+        created_at: new Date().toISOString(),
+      });
+      if (!queued) return { error: e.message };
+      return {
+        success: true,
+        queued: true,
+        note: "The CRM is temporarily unavailable. This was saved and will sync automatically.",
+      };
+    }
+  }
+
+  setInterval(replayOutbox, OUTBOX_REPLAY_INTERVAL_MS).unref();
+  setImmediate(replayOutbox);
+
+  return {
+    call,
+    replayOutbox,
+    get breakerState() { return breaker.state; },
+    get outboxSize() { return pendingKeys.size; },
+  };
+}
+
+module.exports = { createBase44Client, idempotencyKey, ACTION_POLICIES };
@@ -0,0 +1,95 @@
+// TTL cache for Base44 reads that sit on the call pickup path. Entries past
+// their TTL are refreshed on the next read, but the last good value keeps being
+// served (up to maxStaleMs) when the refresh fails, so a Base44 outage does not
+// take inbound calls down with it.
+function createTtlCache({ name, ttlMs, maxStaleMs = 24 * 60 * 60 * 1000, isCacheable = (v) => v && !v.error, log }) {
+  const entries = new Map();
+  const inFlight = new Map();
+  let hits = 0;
+  let misses = 0;
+  let staleServed = 0;
+
+  function isFresh(entry) {
+    return !entry.expired && Date.now() - entry.storedAt < ttlMs;
+  }
+
+  async function load(key, loader) {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const pending = (async () => {
+      let value;
+      try {
+        value = await loader();
+      } catch (e) {
+        value = { error: e.message };
+      }
+
+      if (isCacheable(value)) {
+        entries.set(key, { value, storedAt: Date.now() });
+        return value;
+      }
+
+      const stale = entries.get(key);
+      if (stale && value && value.error && Date.now() - stale.storedAt < maxStaleMs) {
+        staleServed++;
+        if (log) log.warn("Refresh failed, serving stale value", { cache: name, key, ageSeconds: Math.round((Date.now() - stale.storedAt) / 1000), error: value.error });
+        return stale.value;
+      }
+      return value;
+    })();
+
+    inFlight.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  return {
+    name,
+
+    async get(key, loader) {
+      const entry = entries.get(key);
+      if (entry && isFresh(entry)) {
+        hits++;
+        return entry.value;
+      }
+      misses++;
+      return load(key, loader);
+    },
+
+    refresh(key, loader) {
+      return load(key, loader);
+    },
+
+    peek(key) {
+      const entry = entries.get(key);
+      return entry ? entry.value : undefined;
+    },
+
+    keys() {
+      return [...entries.keys()];
+    },
+
+    // Expired entries are refetched on the next read but stay available as the
+    // stale fallback, so invalidating during a Base44 outage is harmless.
+    expire(key) {
+      const entry = entries.get(key);
+      if (!entry) return false;
+      entry.expired = true;
+      return true;
+    },
+
+    expireAll() {
+      for (const key of entries.keys()) this.expire(key);
+      return entries.size;
+    },
+
+    stats() {
+      return { size: entries.size, hits, misses, stale_served: staleServed };
+    },
+  };
+}
+
+module.exports = { createTtlCache };
@@ -0,0 +1,34 @@
+// Common short words per language, used to tell which of a company's languages
+// the caller is speaking from the first transcribed turns. Words shared by
+// several languages ("no", "a") are left out so they do not count for either.
+const MARKER_WORDS = {
+  en: ["the", "and", "is", "are", "to", "my", "i", "i'm", "you", "your", "have", "hello", "hi", "yes", "what", "it", "of", "for", "need", "this", "that", "with", "can", "about", "roof", "leak", "please", "thanks", "calling", "hey"],
+  es: ["el", "la", "los", "las", "de", "que", "y", "es", "en", "un", "una", "mi", "tengo", "por", "para", "con", "sí", "hola", "buenos", "buenas", "bueno", "necesito", "techo", "quiero", "usted", "gracias", "está", "pero", "como", "español", "habla", "aló", "favor", "gotera"],
+  fr: ["le", "les", "et", "est", "je", "vous", "bonjour", "oui", "merci", "pour", "avec", "mon", "une", "toit", "besoin", "c'est", "j'ai", "français", "allô"],
+  pt: ["o", "os", "as", "é", "eu", "você", "olá", "oi", "sim", "obrigado", "obrigada", "preciso", "telhado", "com", "não", "meu", "minha", "português", "alô"],
+  de: ["der", "die", "das", "und", "ist", "ich", "sie", "hallo", "ja", "danke", "bitte", "mit", "dach", "brauche", "nicht", "mein", "deutsch"],
+  it: ["il", "gli", "è", "io", "lei", "ciao", "buongiorno", "sì", "grazie", "per", "tetto", "ho", "bisogno", "non", "mio", "italiano", "pronto"],
+};
+
+function baseCode(code) {
+  return String(code || "").toLowerCase().split(/[-_]/)[0];
+}
+
+// Scores text against the given language codes ("es", "es-MX"...). Returns the
+// matching code when one language clearly leads, otherwise null.
+function detectLanguage(text, codes) {
+  const words = String(text || "").toLowerCase().match(/[\p{L}']+/gu) || [];
+  const scores = codes
+    .filter((code) => MARKER_WORDS[baseCode(code)])
+    .map((code) => {
+      const markers = MARKER_WORDS[baseCode(code)];
+      return { code, score: words.filter((w) => markers.includes(w)).length };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  if (scores.length === 0 || scores[0].score === 0) return null;
+  if (scores.length > 1 && scores[1].score * 2 >= scores[0].score) return null;
+  return scores[0].code;
+}
+
+module.exports = { detectLanguage };
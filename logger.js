@@ -0,0 +1,86 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || "").toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : "info";
+const REDACT_PII = process.env.LOG_REDACT_PII !== "false";
+
+// Keys whose values are personal data wherever they appear in logged objects,
+// e.g. tool arguments or Twilio form fields. Phone-like keys keep the last four
+// digits so a call can still be matched up with Twilio's console.
+const PHONE_KEYS = new Set(["phone", "caller_phone", "callerphone", "callernumber", "from", "to", "number", "called"]);
+const PII_KEYS = new Set([
+  "name", "caller_name", "first_name", "last_name", "full_name",
+  "email", "address", "street", "city", "zip", "postal_code",
+  "text", "transcript", "notes", "message", "body",
+]);
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{8,}\d/g;
+
+function maskPhone(value) {
+  const digits = String(value).replace(/\D/g, "");
+  return digits.length > 4 ? `***${digits.slice(-4)}` : "***";
+}
+
+function scrubString(text) {
+  return text
+    .replace(EMAIL_PATTERN, "[email]")
+    .replace(PHONE_PATTERN, (match) => (match.replace(/\D/g, "").length >= 10 ? maskPhone(match) : match));
+}
+
+function redact(value, key = "") {
+  const lowered = key.toLowerCase();
+  if (value === null || value === undefined) return value;
+  if (PHONE_KEYS.has(lowered) && typeof value !== "object") return maskPhone(value);
+  if (PII_KEYS.has(lowered) && typeof value !== "object") return "[redacted]";
+  if (typeof value === "string") return scrubString(value);
+  if (Array.isArray(value)) return value.map((v) => redact(v, key));
+  if (typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = redact(v, k);
+    return out;
+  }
+  return value;
+}
+
+function serialize(value) {
+  if (value instanceof Error) return { type: value.name, error: value.message, stack: value.stack };
+  return value;
+}
+
+// Bindings are read when each line is written, so a per-call logger can use
+// getters for callSid/streamSid that only become known once the stream starts.
+function createLogger(bindings = {}, parent = null) {
+  function context() {
+    const own = {};
+    for (const [k, v] of Object.entries(bindings)) {
+      if (v !== undefined && v !== null && v !== "") own[k] = v;
+    }
+    return parent ? { ...parent.context(), ...own } : own;
+  }
+
+  function write(level, msg, fields) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+    const extra = {};
+    for (const [k, v] of Object.entries(fields || {})) extra[k] = serialize(v);
+    const entry = {
+      ts: new Date().toISOString(),
+      level,
+      ...context(),
+      msg: REDACT_PII ? scrubString(msg) : msg,
+      ...(REDACT_PII ? redact(extra) : extra),
+    };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + "\n");
+  }
+
+  const logger = {
+    context,
+    child: (childBindings) => createLogger(childBindings, logger),
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+  };
+  return logger;
+}
+
+module.exports = { createLogger, redact, LOG_LEVEL };
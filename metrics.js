@@ -0,0 +1,99 @@
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const parts = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length > 0 ? `{${parts.join(",")}}` : "";
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? "" : String(labels[name]))));
+}
+
+function createCounter(name, help, labelNames = []) {
+  const values = new Map();
+  const metric = {
+    name,
+    help,
+    type: "counter",
+    inc(labels, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      return [...values].map(([key, v]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${v}`);
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// Gauges are read at scrape time from a collect() callback returning
+// [{ labels, value }], so they can never drift from the state they describe.
+function createGauge(name, help, labelNames, collect) {
+  const metric = {
+    name,
+    help,
+    type: "gauge",
+    render() {
+      return collect().map(({ labels, value }) => `${name}${formatLabels(labelNames, JSON.parse(labelKey(labelNames, labels)))} ${value}`);
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  const metric = {
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      for (let i = 0; i < buckets.length; i++) {
+        if (value <= buckets[i]) s.counts[i]++;
+      }
+      s.sum += value;
+      s.count++;
+    },
+    render() {
+      const lines = [];
+      for (const [key, s] of series) {
+        const values = JSON.parse(key);
+        buckets.forEach((le, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${le}"`)} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${s.count}`);
+      }
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { createCounter, createGauge, createHistogram, renderMetrics };
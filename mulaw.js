@@ -0,0 +1,55 @@
+const BIAS = 0x84;
+const CLIP = 32635;
+
+const EXP_LUT = new Uint8Array([
+  0, 0, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 3, 3, 3, 3, 4, 4, 4, 4, 4, 4, 4, 4,
+  4, 4, 4, 4, 4, 4, 4, 4, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5,
+  5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 6, 6, 6, 6, 6, 6, 6, 6,
+  6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6,
+  6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6,
+  6, 6, 6, 6, 6, 6, 6, 6, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
+  7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
+  7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
+  7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
+  7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
+  7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
+]);
+
+function mulawEncode(sample) {
+  let sign = (sample >> 8) & 0x80;
+  if (sign) sample = -sample;
+  if (sample > CLIP) sample = CLIP;
+  sample += BIAS;
+  const exponent = EXP_LUT[(sample >> 7) & 0xff];
+  const mantissa = (sample >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+const MULAW_DECODE_TABLE = new Int16Array(256);
+(function buildDecodeTable() {
+  for (let i = 0; i < 256; i++) {
+    const val = ~i & 0xff;
+    const sign = val & 0x80;
+    const exponent = (val >> 4) & 0x07;
+    const mantissa = val & 0x0f;
+    let magnitude = ((mantissa << 3) + BIAS) << exponent;
+    magnitude -= BIAS;
+    MULAW_DECODE_TABLE[i] = sign ? -magnitude : magnitude;
+  }
+})();
+
+// Decodes into one reused buffer: the samples returned are only valid until the
+// next decode() call.
+function createMulawDecoder() {
+  let pcm = new Int16Array(160);
+
+  return {
+    decode(bytes) {
+      if (bytes.length > pcm.length) pcm = new Int16Array(bytes.length);
+      for (let i = 0; i < bytes.length; i++) pcm[i] = MULAW_DECODE_TABLE[bytes[i]];
+      return pcm.subarray(0, bytes.length);
+    },
+  };
+}
+
+module.exports = { mulawEncode, createMulawDecoder, MULAW_DECODE_TABLE };
@@ -0,0 +1,194 @@
+const { EventEmitter } = require("events");
+const { WebSocket } = require("ws");
+const { createLogger } = require("../logger");
+
+const GEMINI_WS_URL =
+  process.env.GEMINI_WS_URL ||
+  "wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent";
+const GEMINI_MODEL = process.env.GEMINI_MODEL || "models/gemini-2.5-flash-native-audio-latest";
+
+const VOICE_MAP = {
+  Puck: "Puck",
+  Charon: "Charon",
+  Kore: "Kore",
+  Fenrir: "Fenrir",
+  Aoede: "Aoede",
+  Sage: "Sage",
+  Orion: "Orion",
+  default: "Kore",
+};
+
+function pickVoice(settings) {
+  return VOICE_MAP[settings.voice_id || settings.gemini_voice || ""] || VOICE_MAP["default"];
+}
+
+function createGeminiProvider({ apiKey, settings, systemInstruction, tools, url = GEMINI_WS_URL, log = createLogger({ component: "gemini" }) }) {
+  const events = new EventEmitter();
+  let voice = pickVoice(settings);
+  let ws = null;
+  let resumeHandle = null;
+
+  function send(payload) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+    ws.send(JSON.stringify(payload));
+    return true;
+  }
+
+  function handleMessage(data) {
+    if (data.setupComplete) events.emit("ready");
+
+    if (data.sessionResumptionUpdate?.resumable && data.sessionResumptionUpdate.newHandle) {
+      resumeHandle = data.sessionResumptionUpdate.newHandle;
+    }
+
+    if (data.goAway) {
+      events.emit("goAway", data.goAway.timeLeft || "unknown");
+      return;
+    }
+
+    // Transcriptions arrive as fragments; the bridge stitches them into turns.
+    if (data.serverContent?.inputTranscription?.text) {
+      events.emit("transcript", { role: "caller", text: data.serverContent.inputTranscription.text });
+    }
+
+    if (data.serverContent?.outputTranscription?.text) {
+      events.emit("transcript", { role: "agent", text: data.serverContent.outputTranscription.text });
+    }
+
+    if (data.serverContent?.modelTurn?.parts) {
+      for (const part of data.serverContent.modelTurn.parts) {
+        if (
+          part.inlineData &&
+          part.inlineData.mimeType.startsWith("audio/")
+        ) {
+          events.emit("audio", part.inlineData.data);
+        }
+      }
+    }
+
+    if (data.serverContent?.interrupted) {
+      events.emit("interrupted");
+    }
+
+    if (data.serverContent?.turnComplete) {
+      events.emit("turnComplete");
+    }
+
+    if (data.toolCall) {
+      events.emit(
+        "toolCall",
+        data.toolCall.functionCalls.map((call) => ({ id: call.id, name: call.name, args: call.args || {} }))
+      );
+    }
+  }
+
+  return Object.assign(events, {
+    name: "gemini",
+    voice,
+    inputRate: 16000,
+    outputRate: 24000,
+
+    connect() {
+      const previous = ws;
+      const socket = new WebSocket(`${url}?key=${apiKey}`);
+      ws = socket;
+      if (previous) previous.close();
+
+      socket.on("open", () => {
+        log.info("Connected", { resuming: !!resumeHandle });
+        socket.send(
+          JSON.stringify({
+            setup: {
+              model: GEMINI_MODEL,
+              generation_config: {
+                response_modalities: ["AUDIO"],
+                speech_config: {
+                  voice_config: {
+                    prebuilt_voice_config: { voice_name: voice },
+                  },
+                },
+              },
+              system_instruction: {
+                parts: [{ text: systemInstruction }],
+              },
+              tools: [{ function_declarations: tools }],
+              input_audio_transcription: {},
+              output_audio_transcription: {},
+              session_resumption: resumeHandle ? { handle: resumeHandle } : {},
+              context_window_compression: { sliding_window: {} },
+            },
+          })
+        );
+      });
+
+      socket.on("message", (rawData) => {
+        if (socket !== ws) return;
+        try {
+          handleMessage(JSON.parse(rawData.toString()));
+        } catch (err) {
+          log.error("Message parse error", { err });
+        }
+      });
+
+      socket.on("close", (code) => {
+        if (socket !== ws) return;
+        log.info("Disconnected", { code });
+        events.emit("close", code);
+      });
+      socket.on("error", (err) => log.error("Socket error", { err }));
+    },
+
+    canResume() {
+      return !!resumeHandle;
+    },
+
+    // Applies from the next connect(), which then starts a fresh session: the
+    // voice of a session cannot change once it has started.
+    reconfigure(next) {
+      voice = pickVoice(next.settings);
+      this.voice = voice;
+      systemInstruction = next.systemInstruction;
+      resumeHandle = null;
+    },
+
+    sendAudio(pcmB64) {
+      return send({
+        realtime_input: {
+          media_chunks: [
+            {
+              mime_type: "audio/pcm;rate=16000",
+              data: pcmB64,
+            },
+          ],
+        },
+      });
+    },
+
+    sendText(text, turnComplete) {
+      return send({
+        client_content: {
+          turns: [{ role: "user", parts: [{ text }] }],
+          turn_complete: turnComplete,
+        },
+      });
+    },
+
+    sendToolResponses(responses) {
+      return send({
+        tool_response: {
+          function_responses: responses.map((r) => ({
+            id: r.id,
+            name: r.name,
+            response: { result: r.result },
+          })),
+        },
+      });
+    },
+
+    close() {
+      ws?.close();
+    },
+  });
+}
+
+module.exports = { createGeminiProvider, VOICE_MAP };
@@ -0,0 +1,15 @@
+const { createGeminiProvider } = require("./gemini");
+const { createOpenAIProvider } = require("./openai");
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+};
+
+function createRealtimeProvider(name, options) {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown realtime provider: ${name}`);
+  return factory(options);
+}
+
+module.exports = { createRealtimeProvider, PROVIDERS };
@@ -0,0 +1,193 @@
+const { EventEmitter } = require("events");
+const { WebSocket } = require("ws");
+const { createLogger } = require("../logger");
+
+const OPENAI_REALTIME_URL = process.env.OPENAI_REALTIME_URL || "wss://api.openai.com/v1/realtime";
+const OPENAI_REALTIME_MODEL = process.env.OPENAI_REALTIME_MODEL || "gpt-4o-realtime-preview";
+
+const OPENAI_VOICES = ["alloy", "ash", "ballad", "coral", "echo", "sage", "shimmer", "verse"];
+
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  const out = { ...schema };
+  if (typeof out.type === "string") out.type = out.type.toLowerCase();
+  if (out.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(out.properties).map(([key, value]) => [key, toJsonSchema(value)])
+    );
+  }
+  if (out.items) out.items = toJsonSchema(out.items);
+  return out;
+}
+
+function pickVoice(settings) {
+  const requested = (settings.openai_voice || settings.voice_id || "").toLowerCase();
+  return OPENAI_VOICES.includes(requested) ? requested : "alloy";
+}
+
+function createOpenAIProvider({ apiKey, settings, systemInstruction, tools, url = OPENAI_REALTIME_URL, log = createLogger({ component: "openai" }) }) {
+  const events = new EventEmitter();
+  let voice = pickVoice(settings);
+  let ws = null;
+  let responding = false;
+
+  function send(payload) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+    ws.send(JSON.stringify(payload));
+    return true;
+  }
+
+  function handleMessage(data) {
+    switch (data.type) {
+      case "session.updated":
+        events.emit("ready");
+        break;
+      case "response.created":
+        responding = true;
+        break;
+      case "response.audio.delta":
+        events.emit("audio", data.delta);
+        break;
+      case "response.audio_transcript.delta":
+        if (data.delta) events.emit("transcript", { role: "agent", text: data.delta });
+        break;
+      case "conversation.item.input_audio_transcription.completed":
+        // Whisper delivers the caller's whole utterance at once, often after the
+        // reply has started, so it closes its own turn.
+        if (data.transcript) events.emit("transcript", { role: "caller", text: data.transcript, final: true });
+        break;
+      case "input_audio_buffer.speech_started":
+        if (responding) events.emit("interrupted");
+        break;
+      case "response.done": {
+        responding = false;
+        const calls = (data.response?.output || [])
+          .filter((item) => item.type === "function_call")
+          .map((item) => {
+            let args = {};
+            try {
+              args = JSON.parse(item.arguments || "{}");
+            } catch (e) {
+              log.error("Bad tool call arguments", { tool: item.name, err: e });
+            }
+            return { id: item.call_id, name: item.name, args };
+          });
+        events.emit("turnComplete");
+        if (calls.length > 0) events.emit("toolCall", calls);
+        break;
+      }
+      case "error":
+        log.error("Server error", { error: data.error?.message || JSON.stringify(data.error) });
+        break;
+    }
+  }
+
+  return Object.assign(events, {
+    name: "openai",
+    voice,
+    inputRate: 24000,
+    outputRate: 24000,
+
+    connect() {
+      const previous = ws;
+      const socket = new WebSocket(`${url}?model=${encodeURIComponent(OPENAI_REALTIME_MODEL)}`, {
+        headers: {
+          "Authorization": `Bearer ${apiKey}`,
+          "OpenAI-Beta": "realtime=v1",
+        },
+      });
+      ws = socket;
+      responding = false;
+      if (previous) previous.close();
+
+      socket.on("open", () => {
+        log.info("Connected");
+        socket.send(
+          JSON.stringify({
+            type: "session.update",
+            session: {
+              instructions: systemInstruction,
+              voice,
+              modalities: ["audio", "text"],
+              input_audio_format: "pcm16",
+              output_audio_format: "pcm16",
+              input_audio_transcription: { model: "whisper-1" },
+              turn_detection: { type: "server_vad" },
+              tools: tools.map((t) => ({
+                type: "function",
+                name: t.name,
+                description: t.description || "",
+                parameters: toJsonSchema(t.parameters || { type: "OBJECT", properties: {} }),
+              })),
+            },
+          })
+        );
+      });
+
+      socket.on("message", (rawData) => {
+        if (socket !== ws) return;
+        try {
+          handleMessage(JSON.parse(rawData.toString()));
+        } catch (err) {
+          log.error("Message parse error", { err });
+        }
+      });
+
+      socket.on("close", (code) => {
+        if (socket !== ws) return;
+        log.info("Disconnected", { code });
+        events.emit("close", code);
+      });
+      socket.on("error", (err) => log.error("Socket error", { err }));
+    },
+
+    canResume() {
+      return false;
+    },
+
+    // Applies from the next connect(): the voice cannot change once the
+    // session has produced audio.
+    reconfigure(next) {
+      voice = pickVoice(next.settings);
+      this.voice = voice;
+      systemInstruction = next.systemInstruction;
+    },
+
+    sendAudio(pcmB64) {
+      return send({ type: "input_audio_buffer.append", audio: pcmB64 });
+    },
+
+    sendText(text, turnComplete) {
+      const sent = send({
+        type: "conversation.item.create",
+        item: {
+          type: "message",
+          role: "user",
+          content: [{ type: "input_text", text }],
+        },
+      });
+      if (sent && turnComplete) send({ type: "response.create" });
+      return sent;
+    },
+
+    sendToolResponses(responses) {
+      for (const r of responses) {
+        send({
+          type: "conversation.item.create",
+          item: {
+            type: "function_call_output",
+            call_id: r.id,
+            output: JSON.stringify(r.result),
+          },
+        });
+      }
+      return send({ type: "response.create" });
+    },
+
+    close() {
+      ws?.close();
+    },
+  });
+}
+
+module.exports = { createOpenAIProvider, OPENAI_VOICES };
@@ -0,0 +1,125 @@
+const TWILIO_RATE = 8000;
+const RESAMPLER_TAPS_PER_PHASE = 32;
+const PRE_EMPHASIS = 0.4;
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+function designLowpass(numTaps, cutoff) {
+  const taps = new Float32Array(numTaps);
+  const mid = (numTaps - 1) / 2;
+  let sum = 0;
+  for (let i = 0; i < numTaps; i++) {
+    const x = i - mid;
+    const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+    const window =
+      0.42 -
+      0.5 * Math.cos((2 * Math.PI * i) / (numTaps - 1)) +
+      0.08 * Math.cos((4 * Math.PI * i) / (numTaps - 1));
+    taps[i] = sinc * window;
+    sum += taps[i];
+  }
+  for (let i = 0; i < numTaps; i++) taps[i] /= sum;
+  return taps;
+}
+
+function createResampler(inRate, outRate) {
+  const g = gcd(inRate, outRate);
+  const up = outRate / g;
+  const down = inRate / g;
+  const phaseLen = RESAMPLER_TAPS_PER_PHASE * Math.max(1, Math.ceil(down / up));
+  const cutoff = (0.45 * Math.min(inRate, outRate)) / (inRate * up);
+  const prototype = designLowpass(phaseLen * up, cutoff);
+
+  const phases = [];
+  for (let p = 0; p < up; p++) {
+    const coeffs = new Float32Array(phaseLen);
+    for (let k = 0; k < phaseLen; k++) coeffs[k] = prototype[k * up + p] * up;
+    phases.push(coeffs);
+  }
+
+  const historyLen = phaseLen - 1;
+  let work = new Float32Array(historyLen + 320);
+  let out = new Int16Array(Math.ceil((320 * up) / down) + 1);
+  let t = 0;
+
+  return {
+    process(input, length) {
+      if (historyLen + length > work.length) {
+        const grown = new Float32Array(historyLen + length);
+        grown.set(work.subarray(0, historyLen));
+        work = grown;
+      }
+      const maxOut = Math.ceil((length * up) / down) + 1;
+      if (maxOut > out.length) out = new Int16Array(maxOut);
+
+      for (let i = 0; i < length; i++) work[historyLen + i] = input[i];
+
+      let n = 0;
+      while (Math.floor(t / up) < length) {
+        const base = historyLen + Math.floor(t / up);
+        const coeffs = phases[t % up];
+        let acc = 0;
+        for (let k = 0; k < phaseLen; k++) acc += coeffs[k] * work[base - k];
+        out[n++] = acc > 32767 ? 32767 : acc < -32768 ? -32768 : Math.round(acc);
+        t += down;
+      }
+      t -= length * up;
+
+      work.copyWithin(0, length, length + historyLen);
+      return out.subarray(0, n);
+    },
+
+    reset() {
+      work.fill(0);
+      t = 0;
+    },
+  };
+}
+
+// Takes the caller's frames already decoded to 8 kHz PCM (see createMulawDecoder),
+// so each frame is decoded once for the model, VAD and the monitor.
+function createInboundAudioConverter(targetRate) {
+  const resampler = createResampler(TWILIO_RATE, targetRate);
+
+  return {
+    convert(pcm8k) {
+      const pcm = resampler.process(pcm8k, pcm8k.length);
+      return Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength).toString("base64");
+    },
+
+    reset() {
+      resampler.reset();
+    },
+  };
+}
+
+function createOutboundAudioConverter(sourceRate) {
+  const resampler = createResampler(sourceRate, TWILIO_RATE);
+  let emphasized = new Float32Array(960);
+  let prev = 0;
+
+  return {
+    convert(pcmB64) {
+      const raw = Buffer.from(pcmB64, "base64");
+      const nSrc = raw.length >> 1;
+      if (nSrc > emphasized.length) emphasized = new Float32Array(nSrc);
+
+      for (let i = 0; i < nSrc; i++) {
+        const sample = raw.readInt16LE(i * 2);
+        emphasized[i] = sample - PRE_EMPHASIS * prev;
+        prev = sample;
+      }
+
+      return resampler.process(emphasized, nSrc).slice();
+    },
+
+    reset() {
+      resampler.reset();
+      prev = 0;
+    },
+  };
+}
+
+module.exports = { TWILIO_RATE, createResampler, createInboundAudioConverter, createOutboundAudioConverter };
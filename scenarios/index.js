@@ -0,0 +1,88 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createLogger } = require("../logger");
+
+const DEFAULT_SCENARIO = "default";
+const SCENARIOS_DIR = process.env.SCENARIOS_DIR || __dirname;
+const log = createLogger({ component: "scenario" });
+
+function hashTemplate(template) {
+  return crypto.createHash("sha256").update(template).digest("hex").slice(0, 8);
+}
+
+function buildScenario(name, def, source) {
+  const template = def.template || "";
+  return {
+    name,
+    source,
+    version: String(def.version || "1"),
+    hash: hashTemplate(template),
+    tools: Array.isArray(def.tools) && def.tools.length > 0 ? def.tools : null,
+    greeting: def.greeting || "",
+    template,
+  };
+}
+
+function parseScenarioFile(text) {
+  const normalized = text.replace(/\r\n/g, "\n");
+  const sep = normalized.indexOf("\n---\n");
+  const header = sep === -1 ? "" : normalized.slice(0, sep);
+  const def = { template: sep === -1 ? normalized : normalized.slice(sep + 5) };
+
+  for (const line of header.split("\n")) {
+    const idx = line.indexOf(":");
+    if (idx === -1) continue;
+    const key = line.slice(0, idx).trim();
+    const value = line.slice(idx + 1).trim();
+    if (key === "tools") {
+      def.tools = value.split(",").map((t) => t.trim()).filter(Boolean);
+    } else {
+      def[key] = value;
+    }
+  }
+  return def;
+}
+
+function loadScenarioFiles(dir) {
+  const scenarios = {};
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith(".txt")) continue;
+    const name = path.basename(file, ".txt");
+    try {
+      scenarios[name] = buildScenario(name, parseScenarioFile(fs.readFileSync(path.join(dir, file), "utf8")), "file");
+    } catch (e) {
+      log.error("Failed to load scenario file", { file, err: e });
+    }
+  }
+  return scenarios;
+}
+
+const fileScenarios = loadScenarioFiles(SCENARIOS_DIR);
+if (!fileScenarios[DEFAULT_SCENARIO]) {
+  log.error(`No "${DEFAULT_SCENARIO}" template found`, { dir: SCENARIOS_DIR });
+}
+
+function lookupScenario(name, settings) {
+  const custom = settings.scenarios && settings.scenarios[name];
+  if (custom && custom.template) return buildScenario(name, custom, "settings");
+  return fileScenarios[name] || null;
+}
+
+function resolveScenario(name, settings) {
+  const wanted = name || DEFAULT_SCENARIO;
+  const scenario = lookupScenario(wanted, settings);
+  if (scenario) return scenario;
+
+  log.warn(`Unknown scenario, falling back to "${DEFAULT_SCENARIO}"`, { scenario: wanted });
+  return lookupScenario(DEFAULT_SCENARIO, settings) || buildScenario(DEFAULT_SCENARIO, { template: "{{base_prompt}}" }, "builtin");
+}
+
+function renderTemplate(template, variables) {
+  return template.replace(/\{\{\s*([a-z0-9_]+)\s*(?:\|([^}]*))?\}\}/g, (match, key, fallback) => {
+    const value = variables[key];
+    return value !== undefined && value !== null && value !== "" ? String(value) : fallback || "";
+  });
+}
+
+module.exports = { resolveScenario, renderTemplate, DEFAULT_SCENARIO };
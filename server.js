@@ -1,398 +1,2739 @@
 const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
 const { WebSocketServer, WebSocket } = require("ws");
+const { createRealtimeProvider } = require("./providers");
+const { resolveScenario, renderTemplate } = require("./scenarios");
+const { createCounter, createGauge, createHistogram, renderMetrics } = require("./metrics");
+const { createLogger } = require("./logger");
+const { createBase44Client } = require("./base44");
+const { createTtlCache } = require("./cache");
+const { createCallSummarizer } = require("./summarizer");
+const { getAmbience, getInterimClip } = require("./sounds");
+const { detectLanguage } = require("./languages");
+const { mulawEncode, createMulawDecoder, MULAW_DECODE_TABLE } = require("./mulaw");
+const { TWILIO_RATE, createInboundAudioConverter, createOutboundAudioConverter } = require("./resampler");
 
 const PORT = process.env.PORT || 8080;
 const GEMINI_API_KEY = process.env.GOOGLE_GEMINI_API_KEY;
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
 const BRIDGE_SECRET = process.env.SARAH_BRIDGE_SECRET || "";
 const BASE44_API_URL = process.env.BASE44_API_URL || "";
+const PUBLIC_HOST = process.env.RAILWAY_WS_HOST || "sarah-media-stream-bridge-production.up.railway.app";
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || "";
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || "";
+const TWILIO_API_URL = process.env.TWILIO_API_URL || "https://api.twilio.com";
+const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET || BRIDGE_SECRET || crypto.randomBytes(32).toString("hex");
+const STREAM_TOKEN_TTL_SECONDS = parseInt(process.env.STREAM_TOKEN_TTL_SECONDS, 10) || 120;
+const SUPERVISOR_TOKEN_TTL_SECONDS = parseInt(process.env.SUPERVISOR_TOKEN_TTL_SECONDS, 10) || 3600;
+const OUTBOUND_FROM_NUMBER = process.env.TWILIO_OUTBOUND_NUMBER || "";
+const SMS_FROM_NUMBER = process.env.TWILIO_SMS_NUMBER || OUTBOUND_FROM_NUMBER;
+// Logs texts instead of sending them, for local development and staging.
+const SMS_STUB = process.env.SMS_STUB === "true";
+const OUTBOUND_MAX_CONCURRENCY = parseInt(process.env.OUTBOUND_MAX_CONCURRENCY, 10) || 5;
+const MAX_CONCURRENT_CALLS = parseInt(process.env.MAX_CONCURRENT_CALLS, 10) || 50;
+const COMPANY_MAX_CONCURRENT_CALLS = parseInt(process.env.COMPANY_MAX_CONCURRENT_CALLS, 10) || 10;
+const HOLD_MUSIC_URL = process.env.HOLD_MUSIC_URL || "https://com.twilio.music.classical.s3.amazonaws.com/BusyStrings.mp3";
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, "recordings");
+const RECORDING_UPLOAD_URL = process.env.RECORDING_UPLOAD_URL || "";
+const BASE44_OUTBOX_DIR = process.env.BASE44_OUTBOX_DIR || path.join(__dirname, "outbox");
+const SETTINGS_CACHE_TTL_SECONDS = parseInt(process.env.SETTINGS_CACHE_TTL_SECONDS, 10) || 300;
+const PHONE_LOOKUP_CACHE_TTL_SECONDS = parseInt(process.env.PHONE_LOOKUP_CACHE_TTL_SECONDS, 10) || 600;
+const SILENCE_PROMPT_SECONDS = parseInt(process.env.SILENCE_PROMPT_SECONDS, 10) || 10;
+const SILENCE_HANGUP_SECONDS = parseInt(process.env.SILENCE_HANGUP_SECONDS, 10) || 30;
+const MAX_CALL_DURATION_SECONDS = parseInt(process.env.MAX_CALL_DURATION_SECONDS, 10) || 1800;
+const PREWARM_PHONE_NUMBERS = (process.env.PREWARM_PHONE_NUMBERS || "")
+  .split(",")
+  .map((n) => n.replace(/\D/g, ""))
+  .filter(Boolean);
+const DEFAULT_CALLING_HOURS = { start: "09:00", end: "20:00", timezone: "America/New_York" };
+
+const log = createLogger({ component: "bridge" });
+const authLog = createLogger({ component: "auth" });
+const base44Log = createLogger({ component: "base44" });
+const twilioLog = createLogger({ component: "twilio" });
+const twimlLog = createLogger({ component: "twiml" });
+const toolLog = createLogger({ component: "tool" });
+const recordingLog = createLogger({ component: "recording" });
+const outboundLog = createLogger({ component: "outbound" });
+const transferLog = createLogger({ component: "transfer" });
+const supervisorLog = createLogger({ component: "supervisor" });
+const cacheLog = createLogger({ component: "cache" });
 
 if (!GEMINI_API_KEY) {
-  console.error("FATAL: GOOGLE_GEMINI_API_KEY is required");
+  log.error("GOOGLE_GEMINI_API_KEY is required");
   process.exit(1);
 }
 if (!BASE44_API_URL) {
-  console.warn("WARNING: BASE44_API_URL not set. Tool calls and settings loading will fail.");
-  console.warn("Set it to your Base44 sarahBridgeAPI function URL.");
+  log.warn("BASE44_API_URL not set. Tool calls and settings loading will fail. Set it to your Base44 sarahBridgeAPI function URL.");
 }
 if (!BRIDGE_SECRET) {
-  console.warn("WARNING: SARAH_BRIDGE_SECRET not set. API calls to Base44 will be unauthenticated.");
-}
-
-const VOICE_MAP = {
-  Puck: "Puck",
-  Charon: "Charon",
-  Kore: "Kore",
-  Fenrir: "Fenrir",
-  Aoede: "Aoede",
-  Sage: "Sage",
-  Orion: "Orion",
-  default: "Kore",
-};
+  log.warn("SARAH_BRIDGE_SECRET not set. API calls to Base44 will be unauthenticated.");
+}
+if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
+  log.warn("TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN not set. Live call transfers are disabled.");
+}
+if (!TWILIO_AUTH_TOKEN) {
+  log.warn("TWILIO_AUTH_TOKEN not set. Twilio request signatures will NOT be verified.");
+}
 
-const BIAS = 0x84;
-const CLIP = 32635;
-
-const EXP_LUT = new Uint8Array([
-  0, 0, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 3, 3, 3, 3, 4, 4, 4, 4, 4, 4, 4, 4,
-  4, 4, 4, 4, 4, 4, 4, 4, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5,
-  5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 6, 6, 6, 6, 6, 6, 6, 6,
-  6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6,
-  6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6,
-  6, 6, 6, 6, 6, 6, 6, 6, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
-  7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
-  7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
-  7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
-  7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
-  7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7, 7,
+const MODEL_MAX_RECONNECTS = 3;
+const MODEL_AUDIO_BUFFER_CHUNKS = 250;
+// Mean absolute level (16-bit PCM) below which a caller frame never counts as
+// speech, however quiet the line is.
+const CALLER_SPEECH_LEVEL = 600;
+// The caller gets this long to finish up once a call nears its time limit, and
+// a goodbye gets this long to play before the bridge hangs up regardless.
+const CALL_WRAP_UP_SECONDS = 60;
+const GOODBYE_TIMEOUT_MS = 10000;
+const CALL_TIMER_INTERVAL_MS = 1000;
+// Keypad digits are collected until "#" or this much quiet, then handed to the
+// model as one entry (a ZIP code, a callback number).
+const DTMF_DIGIT_TIMEOUT_MS = 2000;
+// Caller turns the language detector looks at before settling on a language.
+const LANGUAGE_DETECTION_TURNS = 2;
+const IVR_DEFAULT_TIMEOUT_SECONDS = 5;
+// How long setup waits for the stream "start" (which carries the caller's
+// number) before looking the caller up without it.
+const STREAM_START_WAIT_MS = 1500;
+const CALLER_HISTORY_MAX_APPOINTMENTS = 3;
+const IVR_MAX_ATTEMPTS = 2;
+const CALL_SLOT_HOLD_MS = 90000;
+const OVERFLOW_ACTIONS = ["queue", "voicemail", "forward"];
+const OVERFLOW_MAX_WAIT_SECONDS = 300;
+const DEFAULT_OVERFLOW_MESSAGE = "All of our lines are busy right now. Please stay on the line and we'll be with you shortly.";
+const DEFAULT_VOICEMAIL_PROMPT = "Sorry, nobody is available to take your call right now. Please leave your name, number and a short message after the tone.";
+
+const callsTotal = createCounter("sarah_calls_total", "Calls accepted on the media stream", ["company_id", "direction"]);
+const callsRejectedTotal = createCounter("sarah_calls_rejected_total", "Inbound calls sent to overflow instead of the AI", ["company_id", "reason", "overflow"]);
+createGauge("sarah_active_calls", "Calls currently connected", ["company_id"], () => {
+  const counts = new Map();
+  for (const c of activeCalls.values()) counts.set(c.companyId, (counts.get(c.companyId) || 0) + 1);
+  return [...counts].map(([companyId, value]) => ({ labels: { company_id: companyId }, value }));
+});
+const modelConnectSeconds = createHistogram("sarah_model_connect_seconds", "Time from opening a realtime model session until it is ready", ["provider"]);
+const firstAudioSeconds = createHistogram("sarah_time_to_first_audio_seconds", "Time from stream start until the first agent audio frame is sent", ["provider"]);
+const turnLatencySeconds = createHistogram("sarah_turn_latency_seconds", "Time from the caller going quiet until the first agent audio frame of the reply", ["provider"]);
+const interruptionsTotal = createCounter("sarah_interruptions_total", "Times the caller barged in over the agent", ["provider"]);
+const droppedFramesTotal = createCounter("sarah_dropped_media_frames_total", "Media frames dropped because the destination socket was not open", ["direction"]);
+const base44Seconds = createHistogram("sarah_base44_request_seconds", "Base44 API latency by action", ["action"]);
+const base44ErrorsTotal = createCounter("sarah_base44_errors_total", "Failed Base44 API calls by action", ["action"]);
+const smsSentTotal = createCounter("sarah_sms_sent_total", "Texts sent to callers by template", ["template", "outcome"]);
+const toolCallsTotal = createCounter("sarah_tool_calls_total", "Tool calls made by the model", ["tool", "outcome"]);
+const toolSeconds = createHistogram("sarah_tool_duration_seconds", "Tool execution time", ["tool"]);
+const callEndsTotal = createCounter("sarah_call_ends_total", "Calls ended by reason", ["reason"]);
+const callSummariesTotal = createCounter("sarah_call_summaries_total", "Post-call summaries by disposition", ["disposition"]);
+createGauge("sarah_base44_circuit_open", "1 while the Base44 circuit breaker is open or half-open", [], () => [
+  { labels: {}, value: base44.breakerState === "closed" ? 0 : 1 },
 ]);
-
-function mulawEncode(sample) {
-  let sign = (sample >> 8) & 0x80;
-  if (sign) sample = -sample;
-  if (sample > CLIP) sample = CLIP;
-  sample += BIAS;
-  const exponent = EXP_LUT[(sample >> 7) & 0xff];
-  const mantissa = (sample >> (exponent + 3)) & 0x0f;
-  return ~(sign | (exponent << 4) | mantissa) & 0xff;
-}
-
-const MULAW_DECODE_TABLE = new Int16Array(256);
-(function buildDecodeTable() {
-  for (let i = 0; i < 256; i++) {
-    const val = ~i & 0xff;
-    const sign = val & 0x80;
-    const exponent = (val >> 4) & 0x07;
-    const mantissa = val & 0x0f;
-    let magnitude = ((mantissa << 3) + BIAS) << exponent;
-    magnitude -= BIAS;
-    MULAW_DECODE_TABLE[i] = sign ? -magnitude : magnitude;
-  }
-})();
-
-function twilioToGemini(mulawB64) {
-  const raw = Buffer.from(mulawB64, "base64");
-  const nSrc = raw.length;
-  const pcm8k = new Int16Array(nSrc);
-  for (let i = 0; i < nSrc; i++) {
-    pcm8k[i] = MULAW_DECODE_TABLE[raw[i]];
-  }
-  const nDst = nSrc * 2;
-  const pcm16 = new Int16Array(nDst);
-  for (let i = 0; i < nSrc - 1; i++) {
-    pcm16[i * 2] = pcm8k[i];
-    pcm16[i * 2 + 1] = (pcm8k[i] + pcm8k[i + 1]) >> 1;
-  }
-  pcm16[nDst - 2] = pcm8k[nSrc - 1];
-  pcm16[nDst - 1] = pcm8k[nSrc - 1];
-  return Buffer.from(pcm16.buffer).toString("base64");
-}
-
-const LP_COEFFS = new Float64Array([
-  0.0595, 0.099, 0.1571, 0.203, 0.2218, 0.203, 0.1571, 0.099, 0.0595,
+createGauge("sarah_base44_outbox_pending", "Base44 writes waiting in the outbox for replay", [], () => [
+  { labels: {}, value: base44.outboxSize },
 ]);
-const LP_LEN = LP_COEFFS.length;
-const LP_HALF = (LP_LEN - 1) >> 1;
 
-function geminiToTwilio(pcmB64) {
-  const raw = Buffer.from(pcmB64, "base64");
-  const nSrc = raw.length >> 1;
-  const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+function pcmLevel(pcm) {
+  if (pcm.length === 0) return 0;
+  let total = 0;
+  for (let i = 0; i < pcm.length; i++) total += Math.abs(pcm[i]);
+  return total / pcm.length;
+}
+
+// Energy-based voice activity detection on the caller's decoded frames. The
+// threshold rides above a per-call noise floor so a steady background (traffic,
+// a TV) is not taken for speech; the floor falls quickly and rises slowly so a
+// few seconds of talking do not raise it much.
+function createVoiceActivityDetector(minLevel = CALLER_SPEECH_LEVEL) {
+  let noiseFloor = 0;
+
+  return {
+    get noiseFloor() { return noiseFloor; },
+    isSpeech(pcm) {
+      const level = pcmLevel(pcm);
+      const speech = level > Math.max(minLevel, noiseFloor * 3);
+      noiseFloor = level < noiseFloor ? noiseFloor * 0.9 + level * 0.1 : noiseFloor * 0.998 + level * 0.002;
+      return speech;
+    },
+  };
+}
+
+const OUTBOUND_FRAME_MS = 20;
+const OUTBOUND_FRAME_SAMPLES = (TWILIO_RATE * OUTBOUND_FRAME_MS) / 1000;
+// Frames go out a little ahead of real time so timer jitter does not leave
+// gaps in what the caller hears.
+const OUTBOUND_LEAD_FRAMES = 3;
+const DEFAULT_AMBIENCE_LEVEL = 0.5;
+
+// Builds what the caller hears, one 20 ms frame at a time: the agent's speech
+// over a looping ambience bed, plus an interim clip while a tool call runs and
+// the agent is quiet. Mixing happens on PCM, before μ-law encoding.
+function createOutboundMixer() {
+  let agentQueue = [];
+  let queued = 0;
+  let ambience = null;
+  let ambienceLevel = DEFAULT_AMBIENCE_LEVEL;
+  let ambiencePos = 0;
+  let interim = null;
+  let interimPos = 0;
+  let interimStopping = false;
+  const mix = new Int32Array(OUTBOUND_FRAME_SAMPLES);
+
+  return {
+    get agentQueuedMs() {
+      return queued / (TWILIO_RATE / 1000);
+    },
+
+    setAmbience(clip, level = DEFAULT_AMBIENCE_LEVEL) {
+      ambience = clip;
+      ambienceLevel = Math.max(0, Math.min(1, level));
+      ambiencePos = 0;
+    },
+
+    pushAgent(pcm) {
+      agentQueue.push(pcm);
+      queued += pcm.length;
+    },
+
+    clearAgent() {
+      agentQueue = [];
+      queued = 0;
+    },
+
+    startInterim(clip) {
+      if (interim !== clip) interimPos = 0;
+      interim = clip;
+      interimStopping = false;
+    },
+
+    // Fades the clip out over the next frame instead of cutting a click in half.
+    stopInterim() {
+      if (interim) interimStopping = true;
+    },
+
+    // Returns the next μ-law frame (base64), or null when there is nothing to play.
+    nextFrame() {
+      if (queued === 0 && !ambience && !interim) return null;
+      mix.fill(0);
+
+      let agentSamples = 0;
+      while (agentSamples < OUTBOUND_FRAME_SAMPLES && agentQueue.length > 0) {
+        const head = agentQueue[0];
+        const n = Math.min(OUTBOUND_FRAME_SAMPLES - agentSamples, head.length);
+        for (let i = 0; i < n; i++) mix[agentSamples + i] = head[i];
+        agentSamples += n;
+        if (n === head.length) agentQueue.shift();
+        else agentQueue[0] = head.subarray(n);
+      }
+      queued -= agentSamples;
+
+      if (ambience) {
+        for (let i = 0; i < OUTBOUND_FRAME_SAMPLES; i++) {
+          mix[i] += ambience[ambiencePos] * ambienceLevel;
+          ambiencePos = (ambiencePos + 1) % ambience.length;
+        }
+      }
+
+      if (interim && agentSamples === 0) {
+        for (let i = 0; i < OUTBOUND_FRAME_SAMPLES; i++) {
+          const gain = interimStopping ? 1 - i / OUTBOUND_FRAME_SAMPLES : 1;
+          mix[i] += interim[interimPos] * gain;
+          interimPos = (interimPos + 1) % interim.length;
+        }
+      }
+      if (interimStopping) interim = null;
+
+      const out = Buffer.allocUnsafe(OUTBOUND_FRAME_SAMPLES);
+      for (let i = 0; i < OUTBOUND_FRAME_SAMPLES; i++) {
+        const sample = mix[i];
+        out[i] = mulawEncode(sample > 32767 ? 32767 : sample < -32768 ? -32768 : sample);
+      }
+      return out.toString("base64");
+    },
+  };
+}
+
+const RECORDING_SAMPLE_RATE = 8000;
+const DEFAULT_RECORDING_CONSENT_MESSAGE = "Just so you know, this call is recorded for quality and training purposes.";
+
+function createCallRecorder() {
+  const tracks = { caller: [], agent: [] };
+  let clockStart = Date.now();
+  let agentCursor = 0;
+
+  function elapsedSamples() {
+    return Math.floor(((Date.now() - clockStart) * RECORDING_SAMPLE_RATE) / 1000);
+  }
+
+  return {
+    start(at = Date.now()) {
+      clockStart = at;
+      agentCursor = 0;
+    },
+
+    addCaller(bytes, timestampMs) {
+      const offset = timestampMs !== undefined
+        ? Math.floor((Number(timestampMs) * RECORDING_SAMPLE_RATE) / 1000)
+        : elapsedSamples();
+      tracks.caller.push({ offset, bytes });
+    },
+
+    addAgent(mulawB64) {
+      const bytes = Buffer.from(mulawB64, "base64");
+      const offset = Math.max(agentCursor, elapsedSamples());
+      tracks.agent.push({ offset, bytes });
+      agentCursor = offset + bytes.length;
+    },
+
+    clearAgent() {
+      const now = elapsedSamples();
+      tracks.agent = tracks.agent
+        .filter((c) => c.offset < now)
+        .map((c) => (c.offset + c.bytes.length > now ? { offset: c.offset, bytes: c.bytes.subarray(0, now - c.offset) } : c));
+      agentCursor = now;
+    },
+
+    isEmpty() {
+      return tracks.caller.length === 0 && tracks.agent.length === 0;
+    },
+
+    toWav() {
+      let totalSamples = 0;
+      for (const chunk of [...tracks.caller, ...tracks.agent]) {
+        totalSamples = Math.max(totalSamples, chunk.offset + chunk.bytes.length);
+      }
+
+      const dataSize = totalSamples * 4;
+      const wav = Buffer.alloc(44 + dataSize);
+      wav.write("RIFF", 0);
+      wav.writeUInt32LE(36 + dataSize, 4);
+      wav.write("WAVE", 8);
+      wav.write("fmt ", 12);
+      wav.writeUInt32LE(16, 16);
+      wav.writeUInt16LE(1, 20);
+      wav.writeUInt16LE(2, 22);
+      wav.writeUInt32LE(RECORDING_SAMPLE_RATE, 24);
+      wav.writeUInt32LE(RECORDING_SAMPLE_RATE * 4, 28);
+      wav.writeUInt16LE(4, 32);
+      wav.writeUInt16LE(16, 34);
+      wav.write("data", 36);
+      wav.writeUInt32LE(dataSize, 40);
+
+      const writeTrack = (chunks, channel) => {
+        for (const { offset, bytes } of chunks) {
+          for (let i = 0; i < bytes.length; i++) {
+            wav.writeInt16LE(MULAW_DECODE_TABLE[bytes[i]], 44 + (offset + i) * 4 + channel * 2);
+          }
+        }
+      };
+      writeTrack(tracks.caller, 0);
+      writeTrack(tracks.agent, 1);
+      return wav;
+    },
+  };
+}
+
+const base44 = createBase44Client({
+  url: BASE44_API_URL,
+  secret: BRIDGE_SECRET,
+  outboxDir: BASE44_OUTBOX_DIR,
+  log: base44Log,
+  onRequest(action, seconds, ok) {
+    base44Seconds.observe({ action }, seconds);
+    if (!ok) base44ErrorsTotal.inc({ action });
+  },
+});
+
+function callBase44(action, companyId, data, options) {
+  return base44.call(action, companyId, data, options);
+}
+
+const callSummarizer = createCallSummarizer({
+  apiKey: GEMINI_API_KEY,
+  log: createLogger({ component: "summary" }),
+});
+
+const settingsCache = createTtlCache({
+  name: "settings",
+  ttlMs: SETTINGS_CACHE_TTL_SECONDS * 1000,
+  log: cacheLog,
+});
+const phoneLookupCache = createTtlCache({
+  name: "phone_lookup",
+  ttlMs: PHONE_LOOKUP_CACHE_TTL_SECONDS * 1000,
+  isCacheable: (v) => v && v.success && !!v.company_id,
+  log: cacheLog,
+});
+
+function getCompanySettings(companyId) {
+  return settingsCache.get(companyId, () => callBase44("getSettings", companyId));
+}
+
+function lookupCompanyByPhone(phoneNumber) {
+  return phoneLookupCache.get(phoneNumber, () => callBase44("lookupByPhone", null, { phone_number: phoneNumber }));
+}
+
+// Not cached: the caller's lead changes during and between calls. Resolves to
+// null for new callers and on any error so the call goes ahead without history.
+async function lookupCallerHistory(companyId, phoneNumber, callSid) {
+  const result = await callBase44("lookupCaller", companyId, { phone_number: phoneNumber }, { callSid });
+  if (!result || result.error || !result.lead) return null;
+  return {
+    lead: result.lead,
+    appointments: Array.isArray(result.appointments) ? result.appointments : [],
+    lastCall: result.last_call || null,
+  };
+}
+
+async function prewarmCaches(phoneNumbers) {
+  let warmed = 0;
+  for (const number of phoneNumbers) {
+    const lookup = await lookupCompanyByPhone(number);
+    if (!lookup.success || !lookup.company_id) {
+      cacheLog.warn("Prewarm found no company for number", { called: number });
+      continue;
+    }
+    await getCompanySettings(lookup.company_id);
+    warmed++;
+  }
+  cacheLog.info("Prewarmed caches", { numbers: phoneNumbers.length, warmed });
+}
+
+// Expires cached entries and reloads them in the background so the next call
+// for that company does not pay for the Base44 round trip.
+function invalidateCaches({ companyId, phoneNumber, all }) {
+  if (all) {
+    return { settings: settingsCache.expireAll(), phone_lookup: phoneLookupCache.expireAll() };
+  }
+
+  const counts = { settings: 0, phone_lookup: 0 };
+  const numbers = new Set(phoneNumber ? [phoneNumber] : []);
+  if (companyId) {
+    for (const number of phoneLookupCache.keys()) {
+      if (phoneLookupCache.peek(number).company_id === companyId) numbers.add(number);
+    }
+    if (settingsCache.expire(companyId)) counts.settings++;
+    getCompanySettings(companyId);
+  }
+  for (const number of numbers) {
+    if (phoneLookupCache.expire(number)) counts.phone_lookup++;
+    lookupCompanyByPhone(number);
+  }
+  return counts;
+}
+
+const MONITOR_MAX_QUEUED_SAMPLES = RECORDING_SAMPLE_RATE * 30;
+
+function createMonitorMixer() {
+  let agentQueue = [];
+  let queued = 0;
+
+  function takeAgent(count) {
+    const out = Buffer.alloc(count, 0xff);
+    let written = 0;
+    while (written < count && agentQueue.length > 0) {
+      const head = agentQueue[0];
+      const n = Math.min(count - written, head.length);
+      head.copy(out, written, 0, n);
+      written += n;
+      if (n === head.length) agentQueue.shift();
+      else agentQueue[0] = head.subarray(n);
+    }
+    queued -= written;
+    return out;
+  }
+
+  return {
+    pushAgent(mulawB64) {
+      const bytes = Buffer.from(mulawB64, "base64");
+      if (queued + bytes.length > MONITOR_MAX_QUEUED_SAMPLES) return;
+      agentQueue.push(bytes);
+      queued += bytes.length;
+    },
+
+    clearAgent() {
+      agentQueue = [];
+      queued = 0;
+    },
+
+    mixCaller(pcm) {
+      const agent = takeAgent(pcm.length);
+      const out = Buffer.allocUnsafe(pcm.length);
+      for (let i = 0; i < pcm.length; i++) {
+        const sum = pcm[i] + MULAW_DECODE_TABLE[agent[i]];
+        out[i] = mulawEncode(sum > 32767 ? 32767 : sum < -32768 ? -32768 : sum);
+      }
+      return out.toString("base64");
+    },
+  };
+}
+
+async function storeRecording(wav, companyId, fileName) {
+  if (RECORDING_UPLOAD_URL) {
+    const target = `${RECORDING_UPLOAD_URL.replace(/\/$/, "")}/${encodeURIComponent(companyId)}/${fileName}`;
+    try {
+      const resp = await fetch(target, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "audio/wav",
+          "Authorization": `Bearer ${BRIDGE_SECRET}`,
+        },
+        body: wav,
+      });
+      if (!resp.ok) {
+        recordingLog.error("Upload failed", { companyId, status: resp.status });
+        return { error: `Recording upload failed: ${resp.status}` };
+      }
+      return { ref: target };
+    } catch (e) {
+      recordingLog.error("Upload error", { companyId, err: e });
+      return { error: e.message };
+    }
+  }
+
+  try {
+    const dir = path.join(RECORDINGS_DIR, companyId);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const filePath = path.join(dir, fileName);
+    await fs.promises.writeFile(filePath, wav);
+    return { ref: filePath };
+  } catch (e) {
+    recordingLog.error("Write error", { companyId, err: e });
+    return { error: e.message };
+  }
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function computeTwilioSignature(url, params) {
+  const payload = Object.keys(params || {})
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url);
+  return crypto.createHmac("sha1", TWILIO_AUTH_TOKEN).update(payload).digest("base64");
+}
+
+function isValidTwilioRequest(req, url, params) {
+  if (!TWILIO_AUTH_TOKEN) return true;
+  const signature = req.headers["x-twilio-signature"];
+  if (!signature) return false;
+  return safeEqual(signature, computeTwilioSignature(url, params));
+}
+
+// Parsed against a fixed base: the Host header is client-controlled and an
+// invalid one must not throw. Null when the request target itself is invalid.
+function parseRequestUrl(req) {
+  try {
+    return new URL(req.url, "http://localhost");
+  } catch (e) {
+    return null;
+  }
+}
+
+function publicUrl(req, scheme) {
+  const host = req.headers["x-forwarded-host"] || req.headers.host || PUBLIC_HOST;
+  return `${scheme}://${host}${req.url}`;
+}
+
+function createStreamToken(claims, ttlSeconds = STREAM_TOKEN_TTL_SECONDS) {
+  const payload = Buffer.from(
+    JSON.stringify({ ...claims, exp: Math.floor(Date.now() / 1000) + ttlSeconds })
+  ).toString("base64url");
+  const sig = crypto.createHmac("sha256", STREAM_TOKEN_SECRET).update(payload).digest("base64url");
+  return `${payload}.${sig}`;
+}
+
+function verifyStreamToken(token) {
+  const [payload, sig] = (token || "").split(".");
+  if (!payload || !sig) return { error: "missing token" };
+  const expected = crypto.createHmac("sha256", STREAM_TOKEN_SECRET).update(payload).digest("base64url");
+  if (!safeEqual(sig, expected)) return { error: "bad token signature" };
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch (e) {
+    return { error: "malformed token" };
+  }
+  if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return { error: "token expired" };
+  return { claims };
+}
+
+async function callTwilio(path, params) {
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
+    twilioLog.error("No Twilio credentials configured", { path });
+    return { error: "Twilio API not configured" };
+  }
+
+  try {
+    const auth = Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString("base64");
+    const resp = await fetch(`${TWILIO_API_URL}/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        "Authorization": `Basic ${auth}`,
+      },
+      body: new URLSearchParams(params).toString(),
+    });
+
+    if (!resp.ok) {
+      const text = await resp.text();
+      twilioLog.error("Request failed", { path, status: resp.status, response: text });
+      return { error: `Twilio request failed: ${resp.status}` };
+    }
+
+    return await resp.json();
+  } catch (e) {
+    twilioLog.error("Request error", { path, err: e });
+    return { error: e.message };
+  }
+}
+
+function getTransferTargets(settings) {
+  const targets = Array.isArray(settings.transfer_numbers) ? settings.transfer_numbers : [];
+  return targets
+    .map((t) => (typeof t === "string" ? { label: "", number: t } : t))
+    .filter((t) => t && t.number);
+}
+
+function pickTransferTarget(settings, department) {
+  const targets = getTransferTargets(settings);
+  if (department) {
+    const wanted = department.toLowerCase();
+    const match = targets.find((t) => (t.label || "").toLowerCase() === wanted);
+    if (match) return match;
+  }
+  return targets[0] || null;
+}
+
+function buildTransferTwiml(target, companyId, settings) {
+  const timeout = parseInt(settings.transfer_timeout_seconds, 10) || 20;
+  const actionUrl = `https://${PUBLIC_HOST}/twiml/transfer-status?companyId=${encodeURIComponent(companyId || "")}`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Dial timeout="${timeout}" action="${escapeXml(actionUrl)}" method="POST">${escapeXml(target.number)}</Dial>
+</Response>`;
+}
+
+function buildStreamTwiml(companyId, scenario, callSid, callerNumber, extraClaims = {}) {
+  const token = createStreamToken({ companyId, scenario, callSid: callSid || "", ...extraClaims });
+  const wsUrl = `wss://${PUBLIC_HOST}/ws/twilio?token=${token}`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Connect>
+        <Stream url="${escapeXml(wsUrl)}">
+            <Parameter name="companyId" value="${escapeXml(companyId)}" />
+            <Parameter name="callerNumber" value="${escapeXml(callerNumber || "")}" />
+        </Stream>
+    </Connect>
+</Response>`;
+}
+
+function buildVoicemailTwiml(companyId, reason, prompt) {
+  const voicemailUrl = `https://${PUBLIC_HOST}/twiml/voicemail?companyId=${encodeURIComponent(companyId || "")}&reason=${encodeURIComponent(reason)}`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Say>${escapeXml(prompt || DEFAULT_VOICEMAIL_PROMPT)}</Say>
+    <Record maxLength="120" playBeep="true" action="${escapeXml(voicemailUrl)}" method="POST" />
+</Response>`;
+}
+
+// settings.ivr_menu = {
+//   prompt: "Press 1 for emergency leak service, 2 for sales...",
+//   timeout_seconds: 5,
+//   options: { "1": { label, action: "scenario" | "transfer" | "voicemail", scenario, language, department, prompt } },
+//   default: { action: ... }   // no input or repeated invalid input; defaults to the AI
+// }
+function getIvrMenu(settings) {
+  const menu = settings.ivr_menu;
+  if (!menu || menu.enabled === false || !menu.prompt || !menu.options || Object.keys(menu.options).length === 0) {
+    return null;
+  }
+  return menu;
+}
+
+function buildIvrMenuTwiml(companyId, menu, attempt) {
+  const timeout = parseInt(menu.timeout_seconds, 10) || IVR_DEFAULT_TIMEOUT_SECONDS;
+  const actionUrl = `https://${PUBLIC_HOST}/twiml/ivr?companyId=${encodeURIComponent(companyId)}&attempt=${attempt}`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Gather numDigits="1" timeout="${timeout}" action="${escapeXml(actionUrl)}" method="POST">
+        <Say>${escapeXml(menu.prompt)}</Say>
+    </Gather>
+    <Redirect method="POST">${escapeXml(actionUrl)}</Redirect>
+</Response>`;
+}
+
+function buildIvrChoiceTwiml(choice, companyId, settings, formData) {
+  if (choice.action === "transfer") {
+    const target = choice.number ? { label: choice.label || "", number: choice.number } : pickTransferTarget(settings, choice.department);
+    if (target) return buildTransferTwiml(target, companyId, settings);
+    twimlLog.warn("IVR transfer option has no transfer number, handing to the AI", { callSid: formData.CallSid, companyId });
+  }
+  if (choice.action === "voicemail") {
+    return buildVoicemailTwiml(companyId, "ivr_menu", choice.prompt);
+  }
+  return buildAdmittedStreamTwiml(companyId, choice.scenario || "", settings, formData, {
+    ivrChoice: choice.label || choice.digit || "",
+    language: choice.language || "",
+  });
+}
+
+// The only texts the model can send. {{name|fallback}} marks a variable as
+// optional; a template whose required variables are unknown is not sent.
+// Companies override the wording in settings.sms_templates.
+const DEFAULT_SMS_TEMPLATES = {
+  trial_link: "Hi {{name|there}}, thanks for talking with {{agent_name}} at {{company_name}}! Start your free trial here: {{trial_url}}",
+  booking_confirmation: "{{company_name}}: your appointment is confirmed for {{appointment_time}} at {{address}}. Reply to this text or give us a call if you need to change it.",
+  directions: "Directions to {{company_name}}: {{office_address}} {{directions_url|}}",
+};
+// Filled in from the call when the text is sent.
+const SMS_CALL_VARIABLES = ["company_name", "agent_name", "name", "appointment_time", "address"];
+const SMS_MAX_PER_CALL = 3;
+// Caller details come from what the model saved, so they must look like a name
+// or an address and carry no link; anything else is dropped, not trimmed, and
+// the template falls back or is not sent.
+const SMS_CALLER_VALUES = {
+  name: { pattern: /^\p{L}[\p{L} .'-]*$/u, maxLength: 40 },
+  address: { pattern: /^[\p{L}\d][\p{L}\d .,'#/-]*$/u, maxLength: 80 },
+};
+const SMS_LINK_PATTERN = /https?:|www\.|[a-z0-9-]\.[a-z]{2,}/i;
+
+function smsCallerValue(key, ...candidates) {
+  const rule = SMS_CALLER_VALUES[key];
+  for (const candidate of candidates) {
+    if (typeof candidate !== "string") continue;
+    const text = candidate.replace(/\s+/g, " ").trim();
+    if (text && text.length <= rule.maxLength && rule.pattern.test(text) && !SMS_LINK_PATTERN.test(text)) return text;
+  }
+  return undefined;
+}
+
+function templateVariables(template) {
+  return [...template.matchAll(/\{\{\s*([a-z0-9_]+)\s*(\|[^}]*)?\}\}/g)].map(([, key, fallback]) => ({ key, optional: fallback !== undefined }));
+}
+
+function missingTemplateVariables(template, variables, ignore = []) {
+  return templateVariables(template)
+    .filter(({ key, optional }) => !optional && !ignore.includes(key))
+    .filter(({ key }) => variables[key] === undefined || variables[key] === null || variables[key] === "")
+    .map(({ key }) => key);
+}
+
+function getSmsCompanyVariables(settings) {
+  return {
+    trial_url: settings.trial_url,
+    office_address: settings.office_address,
+    directions_url: settings.directions_url,
+  };
+}
+
+// Templates this company can actually send: texting is configured and every
+// company-level variable the template needs is set.
+function getSmsTemplates(settings) {
+  if (settings.sms_enabled === false) return {};
+  if (!SMS_STUB && (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !(settings.sms_from_number || SMS_FROM_NUMBER))) return {};
+
+  const variables = getSmsCompanyVariables(settings);
+  const templates = {};
+  for (const [name, fallback] of Object.entries(DEFAULT_SMS_TEMPLATES)) {
+    const template = (settings.sms_templates && settings.sms_templates[name]) || fallback;
+    if (missingTemplateVariables(template, variables, SMS_CALL_VARIABLES).length === 0) templates[name] = template;
+  }
+  return templates;
+}
+
+function buildSmsContext(templates) {
+  const names = Object.keys(templates);
+  if (names.length === 0) return "";
+  let context = `- send_sms: Text the caller one of these messages: ${names.join(", ")}. Offer it when it helps and send it once they agree.`;
+  if (templates.booking_confirmation) context += " Booking confirmations are texted automatically after book_appointment.";
+  return context;
+}
+
+async function sendSms(from, to, body) {
+  if (SMS_STUB) {
+    twilioLog.info("SMS stub, not sending", { from, to, body });
+    return { sid: `SMstub${crypto.randomUUID().replace(/-/g, "")}`, status: "stubbed" };
+  }
+  const result = await callTwilio("/Messages.json", { From: from, To: to, Body: body });
+  if (result.error) return result;
+  return { sid: result.sid, status: result.status };
+}
+
+// Live transfers redirect the call through the Twilio REST API, so the tool is
+// only offered when credentials are set; otherwise the caller would be told they
+// are being connected and then nothing would happen.
+function canTransferLive(settings) {
+  return !!(TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN) && getTransferTargets(settings).length > 0;
+}
+
+function buildTransferContext(settings) {
+  if (!canTransferLive(settings)) return "";
+  const targets = getTransferTargets(settings);
+  const labels = targets.map((t) => t.label).filter(Boolean);
+  let context = "- transfer_call: Use when the caller asks for a real person or the situation needs a human. Tell them you're connecting them BEFORE you call it.";
+  if (labels.length > 0) context += `\n  Departments: ${labels.join(", ")}.`;
+  if (settings.transfer_rules) context += `\n  Transfer rules: ${settings.transfer_rules}`;
+  return context;
+}
+
+const BUILTIN_TOOL_ACTIONS = {
+  check_availability: "checkAvailability",
+  book_appointment: "bookAppointment",
+  save_lead_details: "saveLead",
+};
+const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+const TOOL_WEBHOOK_TIMEOUT_MS = 10000;
+
+function buildToolDeclarations(settings, allowedTools) {
+  const declarations = [
+    {
+      name: "check_availability",
+      description:
+        "Check available appointment slots for a given date or range.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          date_description: {
+            type: "STRING",
+            description: "The date or range to check",
+          },
+        },
+        required: ["date_description"],
+      },
+    },
+    {
+      name: "book_appointment",
+      description: "Book an appointment slot for the user.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          slot_time: {
+            type: "STRING",
+            description: "ISO timestamp of the slot",
+          },
+          name: { type: "STRING", description: "User's name" },
+          email: { type: "STRING", description: "User's email" },
+          phone: {
+            type: "STRING",
+            description: "User's phone number",
+          },
+          description: {
+            type: "STRING",
+            description: "Reason for appointment",
+          },
+        },
+        required: ["slot_time", "name"],
+      },
+    },
+    {
+      name: "save_lead_details",
+      description: "Save or update lead contact information.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          email: { type: "STRING" },
+          phone: { type: "STRING" },
+          service_needed: { type: "STRING" },
+          address: { type: "STRING" },
+        },
+      },
+    },
+  ];
+
+  const smsTemplates = Object.keys(getSmsTemplates(settings));
+  if (smsTemplates.length > 0) {
+    declarations.push({
+      name: "send_sms",
+      description: "Text the caller one of the company's prepared messages. The wording is fixed; you only choose which message.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          template: {
+            type: "STRING",
+            enum: smsTemplates,
+            description: "Which message to send",
+          },
+        },
+        required: ["template"],
+      },
+    });
+  }
+
+  if (canTransferLive(settings)) {
+    declarations.push({
+      name: "transfer_call",
+      description: "Transfer the live call to a human team member.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          department: {
+            type: "STRING",
+            description: "Which team to transfer to, if the company has several",
+          },
+          reason: {
+            type: "STRING",
+            description: "Short reason for the transfer",
+          },
+        },
+        required: ["reason"],
+      },
+    });
+  }
+
+  if (!allowedTools) return declarations;
+  return declarations.filter((d) => allowedTools.includes(d.name));
+}
+
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  const out = { ...schema };
+  if (typeof out.type === "string") out.type = out.type.toUpperCase();
+  if (out.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(out.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (out.items) out.items = toGeminiSchema(out.items);
+  return out;
+}
+
+function getCustomTools(settings) {
+  const defs = Array.isArray(settings.custom_tools) ? settings.custom_tools : [];
+  const tools = [];
+  for (const def of defs) {
+    const name = def && def.name;
+    if (!TOOL_NAME_PATTERN.test(name || "")) {
+      toolLog.warn("Skipping custom tool with invalid name", { tool: JSON.stringify(name) });
+      continue;
+    }
+    if (BUILTIN_TOOL_ACTIONS[name] || name === "transfer_call" || name === "send_sms") {
+      toolLog.warn("Skipping custom tool: name clashes with a built-in tool", { tool: name });
+      continue;
+    }
+    const webhookUrl = def.webhook && (typeof def.webhook === "string" ? def.webhook : def.webhook.url);
+    if (!def.action && !/^https:\/\//.test(webhookUrl || "")) {
+      toolLog.warn("Skipping custom tool: needs a Base44 action or an https webhook URL", { tool: name });
+      continue;
+    }
+    tools.push({
+      name,
+      description: def.description || "",
+      parameters: def.parameters || { type: "object", properties: {} },
+      action: def.action || null,
+      webhook: webhookUrl && !def.action
+        ? { url: webhookUrl, headers: (typeof def.webhook === "object" && def.webhook.headers) || {} }
+        : null,
+      scenarios: Array.isArray(def.scenarios) ? def.scenarios : null,
+    });
+  }
+  return tools;
+}
+
+function buildToolset(settings, allowedTools, scenarioName) {
+  const toolset = new Map();
+  for (const declaration of buildToolDeclarations(settings, allowedTools)) {
+    toolset.set(declaration.name, { declaration, action: BUILTIN_TOOL_ACTIONS[declaration.name] || null, webhook: null });
+  }
+  for (const tool of getCustomTools(settings)) {
+    if (tool.scenarios && !tool.scenarios.includes(scenarioName)) continue;
+    toolset.set(tool.name, {
+      declaration: {
+        name: tool.name,
+        description: tool.description,
+        parameters: toGeminiSchema(tool.parameters),
+      },
+      action: tool.action,
+      webhook: tool.webhook,
+    });
+  }
+  return toolset;
+}
+
+function validateToolArgs(schema, value, path = "args", errors = []) {
+  if (!schema || value === undefined || value === null) return errors;
+  const type = (schema.type || "").toLowerCase();
+
+  if (type === "object") {
+    if (typeof value !== "object" || Array.isArray(value)) {
+      errors.push(`${path} must be an object`);
+      return errors;
+    }
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === "") {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (!properties[key]) {
+        errors.push(`${path}.${key} is not a known parameter`);
+        continue;
+      }
+      validateToolArgs(properties[key], child, `${path}.${key}`, errors);
+    }
+  } else if (type === "array") {
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be an array`);
+      return errors;
+    }
+    value.forEach((item, i) => validateToolArgs(schema.items, item, `${path}[${i}]`, errors));
+  } else if (type === "string" && typeof value !== "string") {
+    errors.push(`${path} must be a string`);
+  } else if (type === "number" && (typeof value !== "number" || !Number.isFinite(value))) {
+    errors.push(`${path} must be a number`);
+  } else if (type === "integer" && !Number.isInteger(value)) {
+    errors.push(`${path} must be an integer`);
+  } else if (type === "boolean" && typeof value !== "boolean") {
+    errors.push(`${path} must be a boolean`);
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(", ")}`);
+  }
+  return errors;
+}
+
+function toolError(code, message, details) {
+  return { error: { code, message, ...(details ? { details } : {}) } };
+}
+
+async function callToolWebhook(name, webhook, args, meta) {
+  try {
+    const resp = await fetch(webhook.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...webhook.headers },
+      body: JSON.stringify({ tool: name, arguments: args, company_id: meta.companyId, call_sid: meta.callSid }),
+      signal: AbortSignal.timeout(TOOL_WEBHOOK_TIMEOUT_MS),
+    });
+
+    const text = await resp.text();
+    if (!resp.ok) {
+      toolLog.error("Webhook failed", { tool: name, companyId: meta.companyId, callSid: meta.callSid, status: resp.status, response: text });
+      return toolError("tool_failed", `The ${name} service returned an error (${resp.status})`);
+    }
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return { result: text };
+    }
+  } catch (e) {
+    toolLog.error("Webhook error", { tool: name, companyId: meta.companyId, callSid: meta.callSid, err: e });
+    return toolError("tool_failed", `The ${name} service is unavailable right now`);
+  }
+}
+
+function describeOutboundPurpose(callContext) {
+  const lead = callContext.lead || {};
+  if (callContext.purpose === "appointment_confirmation") {
+    return `Confirm their upcoming inspection${lead.appointment_time ? ` on ${lead.appointment_time}` : ""}${lead.address ? ` at ${lead.address}` : ""}. If they need to change it, use check_availability and book_appointment.`;
+  }
+  if (callContext.purpose_text) return callContext.purpose_text;
+  return "Follow up on their recent inquiry and book a free inspection.";
+}
+
+function resolveProviderName(settings) {
+  const requested = (settings.realtime_provider || "gemini").toLowerCase();
+  if (requested === "openai" && !OPENAI_API_KEY) {
+    log.warn("Company requested OpenAI Realtime but OPENAI_API_KEY is not set, using Gemini");
+    return "gemini";
+  }
+  return requested === "openai" ? "openai" : "gemini";
+}
+
+function buildPromptVariables(settings, companyName, knowledgeBase, audioContext, interimContext, agentName, callContext) {
+  agentName = agentName || "Sarah";
+  const lead = (callContext && callContext.lead) || {};
+  const leadLines = Object.entries(lead)
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([k, v]) => `- ${k}: ${v}`)
+    .join("\n");
+
+  return {
+    agent_name: agentName,
+    company_name: companyName,
+    base_prompt:
+      settings.system_prompt ||
+      `You are ${agentName}, a friendly receptionist for ${companyName}.`,
+    knowledge_base: knowledgeBase,
+    audio_context: audioContext,
+    interim_context: interimContext,
+    transfer_context: buildTransferContext(settings),
+    sms_context: buildSmsContext(getSmsTemplates(settings)),
+    recording_context: settings.call_recording_enabled
+      ? `RECORDING NOTICE: Your very first sentence on this call MUST be: "${settings.recording_consent_message || DEFAULT_RECORDING_CONSENT_MESSAGE}"`
+      : "",
+    lead_name: lead.name,
+    lead_context: leadLines,
+    call_purpose: callContext ? describeOutboundPurpose(callContext) : "",
+  };
+}
+
+// settings.languages = [
+//   { code: "en", name: "English", voice_id, openai_voice, system_prompt, template, greeting, dtmf: "1" },
+//   { code: "es", name: "Spanish", ... },
+// ]
+// The first entry is the default. With two or more, the caller's language comes
+// from an IVR option, a keypad digit or their first words.
+function getLanguages(settings) {
+  return Array.isArray(settings.languages) ? settings.languages.filter((l) => l && l.code) : [];
+}
+
+function findLanguage(languages, code) {
+  if (!code) return null;
+  const wanted = String(code).toLowerCase();
+  return (
+    languages.find((l) => String(l.code).toLowerCase() === wanted) ||
+    languages.find((l) => String(l.code).toLowerCase().split("-")[0] === wanted.split("-")[0]) ||
+    null
+  );
+}
+
+function languageName(language) {
+  return language.name || language.code;
+}
 
-  const pcm = new Float64Array(nSrc);
-  for (let i = 0; i < nSrc; i++) pcm[i] = view.getInt16(i * 2, true);
+function applyLanguageSettings(settings, language) {
+  if (!language) return settings;
+  return {
+    ...settings,
+    voice_id: language.voice_id || settings.voice_id,
+    openai_voice: language.openai_voice || settings.openai_voice,
+  };
+}
+
+function describeLanguage(language, languages) {
+  const lines = [`LANGUAGE: Speak ${languageName(language)} on this call.`];
+  const others = languages.filter((l) => l !== language);
+  if (others.length > 0) {
+    lines.push(`The office also serves callers in ${others.map(languageName).join(", ")}. If the caller clearly prefers one of those, answer in it.`);
+    const keyed = languages.filter((l) => l.dtmf);
+    if (keyed.length > 0) lines.push(`Callers can press ${keyed.map((l) => `${l.dtmf} for ${languageName(l)}`).join(", ")} on their keypad.`);
+  }
+  return lines.join("\n");
+}
+
+function formatAppointmentTime(value, timezone) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: timezone, weekday: "long", month: "long", day: "numeric", hour: "numeric", minute: "2-digit" }).format(date);
+  } catch (e) {
+    return date.toISOString();
+  }
+}
+
+function describeCallerHistory(history, settings, now = new Date()) {
+  const lead = history.lead;
+  const timezone = (settings.business_hours && settings.business_hours.timezone) || DEFAULT_CALLING_HOURS.timezone;
+  const lines = [
+    "RETURNING CALLER: This caller is already in the CRM. Welcome them back by name, mention what they called about before, and confirm the details below instead of asking for them again. Do not read this out as a list.",
+  ];
+  for (const [label, value] of [["Name", lead.name], ["Email", lead.email], ["Address", lead.address], ["Service needed", lead.service_needed], ["Status", lead.status]]) {
+    if (value) lines.push(`- ${label}: ${value}`);
+  }
+
+  // Upcoming appointments first (soonest first), then the most recent past ones.
+  const appointments = history.appointments
+    .filter((a) => a && a.time)
+    .map((a) => ({ ...a, upcoming: new Date(a.time) >= now }))
+    .sort((a, b) => {
+      if (a.upcoming !== b.upcoming) return a.upcoming ? -1 : 1;
+      const diff = new Date(a.time) - new Date(b.time);
+      return a.upcoming ? diff : -diff;
+    })
+    .slice(0, CALLER_HISTORY_MAX_APPOINTMENTS);
+  for (const a of appointments) {
+    const details = [a.upcoming ? "upcoming" : "past", a.status, a.description].filter(Boolean).join(", ");
+    lines.push(`- Appointment: ${formatAppointmentTime(a.time, timezone)} (${details})`);
+  }
+
+  if (history.lastCall && history.lastCall.summary) {
+    const when = history.lastCall.at ? ` (${formatAppointmentTime(history.lastCall.at, timezone)})` : "";
+    lines.push(`- Last call${when}: ${history.lastCall.summary}`);
+  }
+  return lines.join("\n");
+}
+
+function buildSystemInstruction(scenarioDef, variables, officeStatus, settings, language) {
+  const template = (language && language.template) || scenarioDef.template;
+  const parts = [renderTemplate(template, language && language.system_prompt ? { ...variables, base_prompt: language.system_prompt } : variables)];
+  // Templates can place {{caller_history}} themselves; otherwise it goes last.
+  if (variables.caller_history && !/\{\{\s*caller_history\b/.test(template)) parts.push(variables.caller_history);
+  if (officeStatus && !officeStatus.open) parts.push(describeAfterHoursMode(officeStatus, settings, variables.company_name));
+  if (language) parts.push(describeLanguage(language, getLanguages(settings)));
+  return parts.join("\n\n");
+}
+
+function parseFormBody(req) {
+  return new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      resolve(Object.fromEntries(new URLSearchParams(body)));
+    });
+  });
+}
+
+function rejectUnsignedTwilio(req, res, formData) {
+  if (isValidTwilioRequest(req, publicUrl(req, "https"), formData)) return false;
+  authLog.warn("Rejected request: invalid or missing X-Twilio-Signature", { method: req.method, path: req.url, remote: req.socket.remoteAddress });
+  res.writeHead(403);
+  res.end("Forbidden");
+  return true;
+}
+
+function isAuthorizedApiRequest(req) {
+  if (!BRIDGE_SECRET) return false;
+  return safeEqual(req.headers.authorization || "", `Bearer ${BRIDGE_SECRET}`);
+}
+
+function rejectUnauthorizedApi(req, res) {
+  if (isAuthorizedApiRequest(req)) return false;
+  authLog.warn("Rejected request: bad or missing bearer token", { method: req.method, path: req.url, remote: req.socket.remoteAddress });
+  sendJson(res, 401, { error: "Unauthorized" });
+  return true;
+}
+
+function parseJsonBody(req) {
+  return new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"));
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+function parseClock(value) {
+  const [h, m] = String(value).split(":").map((n) => parseInt(n, 10));
+  return (h || 0) * 60 + (m || 0);
+}
+
+function minutesInTimezone(timezone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  return get("hour") * 60 + get("minute");
+}
+
+function isWithinCallingHours(hours) {
+  const now = minutesInTimezone(hours.timezone);
+  return now >= parseClock(hours.start) && now < parseClock(hours.end);
+}
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const AFTER_HOURS_MODES = ["take_message", "emergency_only", "voicemail"];
+
+function zonedDate(timezone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    weekday: "short",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return {
+    day: `${get("year")}-${get("month")}-${get("day")}`,
+    weekday: get("weekday").slice(0, 3).toLowerCase(),
+  };
+}
+
+function parseHoursRange(range) {
+  if (!range || range === "closed") return null;
+  const [start, end] = Array.isArray(range) ? range : String(range).split("-");
+  return { from: parseClock(start), to: parseClock(end) };
+}
+
+// A range like "22:00-06:00" runs past midnight, so the early hours of one day
+// can be covered by the previous day's entry.
+function isOpenAt(hours, weekday, minutes) {
+  const today = parseHoursRange(hours[weekday]);
+  if (today && (today.to > today.from ? minutes >= today.from && minutes < today.to : minutes >= today.from)) {
+    return true;
+  }
+  const yesterday = parseHoursRange(hours[WEEKDAYS[(WEEKDAYS.indexOf(weekday) + 6) % 7]]);
+  return !!yesterday && yesterday.to <= yesterday.from && minutes < yesterday.to;
+}
+
+// settings.business_hours = {
+//   timezone: "America/Chicago",
+//   hours: { mon: "08:00-17:00", ..., sat: "09:00-12:00", sun: "closed" },
+//   holidays: ["2026-12-25"],
+//   after_hours_mode: "take_message" | "emergency_only" | "voicemail",
+//   after_hours_message: "...",      // voicemail prompt
+//   emergency_description: "...",    // what counts as an emergency
+// }
+// Companies without business_hours are treated as always open.
+function getOfficeStatus(settings, date = new Date()) {
+  const config = settings.business_hours;
+  if (!config || !config.hours) return { open: true };
+
+  const timezone = config.timezone || DEFAULT_CALLING_HOURS.timezone;
+  let today;
+  let minutes;
+  try {
+    today = zonedDate(timezone, date);
+    minutes = minutesInTimezone(timezone, date);
+  } catch (e) {
+    log.warn("Invalid business_hours timezone, treating office as open", { timezone });
+    return { open: true };
+  }
+
+  const mode = AFTER_HOURS_MODES.includes(config.after_hours_mode) ? config.after_hours_mode : "take_message";
+  const holidays = Array.isArray(config.holidays) ? config.holidays : [];
+  if (holidays.includes(today.day)) return { open: false, mode, reason: "holiday" };
+  if (!isOpenAt(config.hours, today.weekday, minutes)) return { open: false, mode, reason: "outside_hours" };
+  return { open: true };
+}
+
+function describeAfterHoursMode(status, settings, companyName) {
+  const config = settings.business_hours || {};
+  const closed = status.reason === "holiday" ? "closed for the holiday" : "closed for the day";
+  const hoursLines = Object.entries(config.hours || {})
+    .filter(([day]) => WEEKDAYS.includes(day))
+    .map(([day, range]) => `${day}: ${Array.isArray(range) ? range.join("-") : range}`)
+    .join(", ");
+  const lines = [`AFTER HOURS: ${companyName} is ${closed}. Tell the caller the office is closed${hoursLines ? ` (office hours: ${hoursLines})` : ""}. Do not book appointments on this call.`];
+
+  if (status.mode === "emergency_only") {
+    const emergencies = config.emergency_description || "active leaks, storm damage or anything unsafe";
+    lines.push(`Only handle emergencies (${emergencies}). For an emergency, collect name, phone and address with save_lead_details and mark it urgent in the notes${canTransferLive(settings) ? ', then use transfer_call with department "emergency" to reach the on-call team' : ""}.`);
+    lines.push("For anything else, politely say someone will call back next business day and end the call.");
+  } else {
+    lines.push("Take a message: collect their name, phone number, address and the reason for calling with save_lead_details, and let them know someone will call back next business day.");
+  }
+  return lines.join("\n");
+}
+
+// Per-company overrides of the dead-air and call length limits, in seconds.
+function getCallLimits(settings) {
+  const seconds = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+  const silencePrompt = seconds(settings.silence_prompt_seconds, SILENCE_PROMPT_SECONDS);
+  return {
+    silencePromptMs: silencePrompt * 1000,
+    silenceHangupMs: Math.max(silencePrompt, seconds(settings.silence_hangup_seconds, SILENCE_HANGUP_SECONDS)) * 1000,
+    maxDurationMs: seconds(settings.max_call_duration_seconds, MAX_CALL_DURATION_SECONDS) * 1000,
+  };
+}
+
+// A call holds a slot from the moment its stream TwiML is served (or its
+// outbound dial starts) until the media stream connects, so a burst of calls
+// cannot all be admitted before any of them shows up in activeCalls. Slots that
+// are never claimed expire.
+const callSlots = new Map();
+
+function reserveCallSlot(key, companyId) {
+  callSlots.set(key, { companyId, expiresAt: Date.now() + CALL_SLOT_HOLD_MS });
+}
+
+function releaseCallSlot(key) {
+  callSlots.delete(key);
+}
+
+function countCalls(companyId) {
+  const now = Date.now();
+  let count = 0;
+  for (const [key, slot] of callSlots) {
+    if (slot.expiresAt <= now) callSlots.delete(key);
+    else if (!companyId || slot.companyId === companyId) count++;
+  }
+  for (const call of activeCalls.values()) {
+    if (!companyId || call.companyId === companyId) count++;
+  }
+  return count;
+}
+
+// Minutes of AI calls per company in the current UTC month. Base44 reports the
+// total from saved call logs as settings.minutes_used_this_month; the local tally
+// covers calls that ended since the settings were cached. Both include the same
+// calls once Base44 catches up, so the larger one is used, plus live calls.
+const monthlyUsage = new Map();
+
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+function recordCallMinutes(companyId, seconds) {
+  const month = currentMonth();
+  const usage = monthlyUsage.get(companyId);
+  if (usage && usage.month === month) usage.seconds += seconds;
+  else monthlyUsage.set(companyId, { month, seconds });
+}
+
+function monthlyMinutesUsed(companyId, settings) {
+  const usage = monthlyUsage.get(companyId);
+  const endedMinutes = usage && usage.month === currentMonth() ? usage.seconds / 60 : 0;
+  let liveMinutes = 0;
+  for (const call of activeCalls.values()) {
+    if (call.companyId === companyId) liveMinutes += (Date.now() - call.startedAt) / 60000;
+  }
+  return Math.max(Number(settings.minutes_used_this_month) || 0, endedMinutes) + liveMinutes;
+}
+
+// Returns why a new AI call for the company cannot start right now, or null.
+// settings.max_concurrent_calls and settings.monthly_minutes_budget override the
+// defaults; the global limit protects the model quota shared by all companies.
+function checkCallAdmission(companyId, settings) {
+  if (countCalls() >= MAX_CONCURRENT_CALLS) return "global_limit";
+  const companyLimit = Number(settings.max_concurrent_calls) > 0 ? Number(settings.max_concurrent_calls) : COMPANY_MAX_CONCURRENT_CALLS;
+  if (countCalls(companyId) >= companyLimit) return "company_limit";
+  const budget = Number(settings.monthly_minutes_budget);
+  if (budget > 0 && monthlyMinutesUsed(companyId, settings) >= budget) return "minutes_budget";
+  return null;
+}
+
+function buildHoldTwiml(companyId, overflow, hold) {
+  const params = new URLSearchParams({ companyId, since: String(hold.since), attempt: String(hold.attempt) });
+  for (const [key, value] of Object.entries(hold.claims)) {
+    if (value) params.set(key, value);
+  }
+  const holdUrl = `https://${PUBLIC_HOST}/twiml/hold?${params}`;
+  const message = hold.attempt === 1 ? `
+    <Say>${escapeXml(overflow.message || DEFAULT_OVERFLOW_MESSAGE)}</Say>` : "";
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>${message}
+    <Play>${escapeXml(overflow.hold_music_url || HOLD_MUSIC_URL)}</Play>
+    <Redirect method="POST">${escapeXml(holdUrl)}</Redirect>
+</Response>`;
+}
+
+// settings.overflow = {
+//   action: "queue" | "voicemail" | "forward",   // defaults to voicemail
+//   message, hold_music_url, max_wait_seconds,   // queue: hold, then retry after each play
+//   number, department,                          // forward: defaults to the first transfer target
+//   voicemail_prompt,
+// }
+// Queue and forward fall back to voicemail when they cannot help.
+function buildOverflowTwiml(companyId, settings, reason, hold) {
+  const overflow = settings.overflow || {};
+  let action = OVERFLOW_ACTIONS.includes(overflow.action) ? overflow.action : "voicemail";
+
+  if (action === "forward") {
+    const target = overflow.number ? { label: "", number: overflow.number } : pickTransferTarget(settings, overflow.department);
+    if (target) return { action, twiml: buildTransferTwiml(target, companyId, settings) };
+    action = "voicemail";
+  }
+  // Waiting frees a slot eventually, but not minutes.
+  if (action === "queue" && reason !== "minutes_budget") {
+    const maxWait = parseInt(overflow.max_wait_seconds, 10) || OVERFLOW_MAX_WAIT_SECONDS;
+    if (Date.now() - hold.since < maxWait * 1000) return { action, twiml: buildHoldTwiml(companyId, overflow, hold) };
+  }
+  return { action: "voicemail", twiml: buildVoicemailTwiml(companyId, "overflow", overflow.voicemail_prompt) };
+}
+
+// Hands the call to the AI if it is admitted, otherwise to the company's
+// overflow. Held callers come back through /twiml/hold with hold.attempt set and
+// are only counted as rejected the first time.
+function buildAdmittedStreamTwiml(companyId, scenario, settings, formData, extraClaims = {}, hold = {}) {
+  const reason = checkCallAdmission(companyId, settings);
+  if (!reason) {
+    reserveCallSlot(formData.CallSid, companyId);
+    return buildStreamTwiml(companyId, scenario, formData.CallSid, formData.From, extraClaims);
+  }
+
+  const attempt = hold.attempt || 1;
+  const overflow = buildOverflowTwiml(companyId, settings, reason, {
+    since: hold.since || Date.now(),
+    attempt,
+    claims: { scenario, ...extraClaims },
+  });
+  if (attempt === 1) {
+    callsRejectedTotal.inc({ company_id: companyId, reason, overflow: overflow.action });
+    twimlLog.warn("Call not admitted, sending to overflow", { callSid: formData.CallSid, companyId, reason, overflow: overflow.action });
+  }
+  return overflow.twiml;
+}
+
+function cachedCompanySettings(companyId) {
+  const cached = settingsCache.peek(companyId);
+  return cached && !cached.error ? cached.settings || {} : {};
+}
+
+const outboundCampaigns = new Map();
+const outboundCallContext = new Map();
+
+function createOutboundCampaign(body) {
+  const calls = Array.isArray(body.calls) ? body.calls : [{ to: body.to, lead: body.lead }];
+  if (!body.companyId) return { error: "companyId is required" };
+  if (calls.length === 0 || calls.some((c) => !c || !c.to)) return { error: "Every call needs a 'to' number" };
+
+  const from = body.from || OUTBOUND_FROM_NUMBER;
+  if (!from) return { error: "No 'from' number given and TWILIO_OUTBOUND_NUMBER is not set" };
+
+  const callingHours = { ...DEFAULT_CALLING_HOURS, ...(body.calling_hours || {}) };
+  try {
+    minutesInTimezone(callingHours.timezone);
+  } catch (e) {
+    return { error: `Invalid calling_hours timezone: ${callingHours.timezone}` };
+  }
+
+  const campaign = {
+    id: crypto.randomUUID(),
+    companyId: body.companyId,
+    from,
+    purpose: body.purpose || "lead_follow_up",
+    purposeText: body.purpose_text || "",
+    concurrency: Math.min(Math.max(parseInt(body.concurrency, 10) || 1, 1), OUTBOUND_MAX_CONCURRENCY),
+    callingHours,
+    active: 0,
+    status: "running",
+    createdAt: new Date().toISOString(),
+    entries: calls.map((c) => ({ to: c.to, lead: c.lead || {}, status: "queued", callSid: null, error: null })),
+    timer: null,
+  };
+
+  outboundCampaigns.set(campaign.id, campaign);
+  campaign.timer = setInterval(() => pumpOutboundCampaign(campaign), 60000);
+  campaign.timer.unref();
+  pumpOutboundCampaign(campaign);
+  return { campaign };
+}
+
+function summarizeCampaign(campaign) {
+  return {
+    campaign_id: campaign.id,
+    company_id: campaign.companyId,
+    status: campaign.status,
+    purpose: campaign.purpose,
+    concurrency: campaign.concurrency,
+    calling_hours: campaign.callingHours,
+    created_at: campaign.createdAt,
+    calls: campaign.entries.map((e) => ({ to: e.to, status: e.status, call_sid: e.callSid, error: e.error })),
+  };
+}
+
+async function startOutboundCall(campaign, entry) {
+  const slot = `${campaign.id}:${campaign.entries.indexOf(entry)}`;
+  reserveCallSlot(slot, campaign.companyId);
+  entry.status = "dialing";
+  const result = await callTwilio("/Calls.json", {
+    To: entry.to,
+    From: campaign.from,
+    Url: `https://${PUBLIC_HOST}/twiml/outbound`,
+    StatusCallback: `https://${PUBLIC_HOST}/twiml/outbound-status?campaignId=${campaign.id}`,
+  });
+
+  if (result.error || !result.sid) {
+    outboundLog.error("Failed to dial", { campaignId: campaign.id, to: entry.to, error: result.error || "no call sid" });
+    entry.status = "failed";
+    entry.error = result.error || "Twilio returned no call sid";
+    releaseCallSlot(slot);
+    campaign.active--;
+    pumpOutboundCampaign(campaign);
+    return;
+  }
+
+  entry.callSid = result.sid;
+  entry.status = "ringing";
+  releaseCallSlot(slot);
+  reserveCallSlot(result.sid, campaign.companyId);
+  outboundCallContext.set(result.sid, {
+    companyId: campaign.companyId,
+    campaignId: campaign.id,
+    purpose: campaign.purpose,
+    purpose_text: campaign.purposeText,
+    lead: { phone: entry.to, ...entry.lead },
+  });
+  outboundLog.info("Dialing", { campaignId: campaign.id, companyId: campaign.companyId, callSid: result.sid, to: entry.to });
+}
+
+function pumpOutboundCampaign(campaign) {
+  if (campaign.status !== "running") return;
+
+  const pending = campaign.entries.filter((e) => e.status === "queued");
+  if (pending.length === 0) {
+    if (campaign.active === 0) {
+      campaign.status = "completed";
+      clearInterval(campaign.timer);
+      outboundLog.info("Campaign completed", { campaignId: campaign.id });
+      setTimeout(() => outboundCampaigns.delete(campaign.id), 3600000).unref();
+    }
+    return;
+  }
+
+  if (!isWithinCallingHours(campaign.callingHours)) {
+    outboundLog.info("Campaign outside calling hours", { campaignId: campaign.id, waiting: pending.length });
+    return;
+  }
+
+  // Uses whatever settings are cached: the pump runs again every minute and
+  // whenever one of the company's calls ends.
+  const settings = cachedCompanySettings(campaign.companyId);
+  while (campaign.active < campaign.concurrency && pending.length > 0) {
+    const reason = checkCallAdmission(campaign.companyId, settings);
+    if (reason) {
+      outboundLog.info("Campaign waiting for a free call slot", { campaignId: campaign.id, reason, waiting: pending.length });
+      return;
+    }
+    campaign.active++;
+    startOutboundCall(campaign, pending.shift());
+  }
+}
+
+function finishOutboundCall(campaignId, callSid, callStatus) {
+  outboundCallContext.delete(callSid);
+  releaseCallSlot(callSid);
+  const campaign = outboundCampaigns.get(campaignId);
+  if (!campaign) return;
+  const entry = campaign.entries.find((e) => e.callSid === callSid);
+  if (!entry || entry.status === "completed" || entry.status === "failed") return;
+
+  entry.status = callStatus === "completed" ? "completed" : "failed";
+  if (entry.status === "failed") entry.error = callStatus;
+  campaign.active--;
+  pumpOutboundCampaign(campaign);
+}
+
+const server = http.createServer(async (req, res) => {
+  const requestUrl = parseRequestUrl(req);
+  if (!requestUrl) {
+    res.writeHead(400);
+    res.end("Bad request");
+    return;
+  }
+  const { pathname, searchParams } = requestUrl;
+
+  if (pathname === "/health" || pathname === "/") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        status: "ok",
+        service: "sarah-media-stream-bridge",
+        base44_configured: !!BASE44_API_URL,
+        gemini_configured: !!GEMINI_API_KEY,
+        openai_configured: !!OPENAI_API_KEY,
+        caches: { settings: settingsCache.stats(), phone_lookup: phoneLookupCache.stats() },
+      })
+    );
+    return;
+  }
+
+  if (pathname === "/metrics" && req.method === "GET") {
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+    res.end(renderMetrics());
+    return;
+  }
+
+  if (pathname === "/twiml/voice" && req.method === "POST") {
+    const formData = await parseFormBody(req);
+    if (rejectUnsignedTwilio(req, res, formData)) return;
+    const calledNumber = (formData.Called || formData.To || "").replace(/\D/g, "");
+    const callerNumber = formData.From || "";
+
+    twimlLog.info("Incoming call", { callSid: formData.CallSid, called: calledNumber, from: callerNumber });
+
+    let companyId = "";
+    let scenario = "";
+
+    if (calledNumber && BASE44_API_URL) {
+      try {
+        const lookup = await lookupCompanyByPhone(calledNumber);
+        if (lookup.success && lookup.company_id) {
+          companyId = lookup.company_id;
+          twimlLog.info("Resolved company", { callSid: formData.CallSid, companyId, called: calledNumber });
+        } else {
+          twimlLog.warn("No company found for number", { callSid: formData.CallSid, called: calledNumber });
+        }
+      } catch (e) {
+        twimlLog.error("Company lookup failed", { callSid: formData.CallSid, err: e });
+      }
+    }
+
+    if (!companyId) {
+      companyId = "695944e3c1fb00b7ab716c6f";
+      scenario = "saas_demo";
+      twimlLog.info("Defaulting to CompanySync demo", { callSid: formData.CallSid });
+    }
+
+    let settings = {};
+    if (!scenario && BASE44_API_URL) {
+      const result = await getCompanySettings(companyId);
+      if (result && !result.error) settings = result.settings || {};
+    }
+
+    let twiml;
+    const officeStatus = scenario ? { open: true } : getOfficeStatus(settings);
+    const ivrMenu = scenario || !officeStatus.open ? null : getIvrMenu(settings);
+    if (!officeStatus.open && officeStatus.mode === "voicemail") {
+      twiml = buildVoicemailTwiml(companyId, "after_hours", settings.business_hours.after_hours_message);
+    } else if (ivrMenu) {
+      twiml = buildIvrMenuTwiml(companyId, ivrMenu, 1);
+    } else {
+      twiml = buildAdmittedStreamTwiml(companyId, scenario, settings, formData);
+    }
+
+    res.writeHead(200, { "Content-Type": "text/xml" });
+    res.end(twiml);
+    twimlLog.info("Served TwiML", {
+      callSid: formData.CallSid,
+      companyId,
+      scenario: scenario || "default",
+      ivrMenu: !!ivrMenu,
+      afterHours: officeStatus.open ? undefined : officeStatus.mode,
+    });
+    return;
+  }
+
+  if (pathname === "/cache/invalidate" && req.method === "POST") {
+    if (rejectUnauthorizedApi(req, res)) return;
+
+    const body = await parseJsonBody(req);
+    const companyId = body && (body.company_id || body.companyId);
+    const phoneNumber = body && body.phone_number ? String(body.phone_number).replace(/\D/g, "") : "";
+    if (!body || (!companyId && !phoneNumber && body.all !== true)) {
+      sendJson(res, 400, { error: "company_id, phone_number or all: true is required" });
+      return;
+    }
+
+    const invalidated = invalidateCaches({ companyId, phoneNumber, all: body.all === true });
+    cacheLog.info("Invalidated caches", { companyId, called: phoneNumber || undefined, all: body.all === true, ...invalidated });
+    sendJson(res, 200, { success: true, invalidated });
+    return;
+  }
+
+  if (pathname === "/calls" && req.method === "GET") {
+    if (rejectUnauthorizedApi(req, res)) return;
+    const companyFilter = searchParams.get("companyId");
+    const calls = [...activeCalls.values()]
+      .filter((c) => !companyFilter || c.companyId === companyFilter)
+      .map(summarizeActiveCall);
+    sendJson(res, 200, { calls });
+    return;
+  }
+
+  const controlMatch = pathname.match(/^\/calls\/([^/]+)\/(hangup|whisper|mute-ai|takeover)$/);
+  if (controlMatch && req.method === "POST") {
+    if (rejectUnauthorizedApi(req, res)) return;
+
+    let callId;
+    try {
+      callId = decodeURIComponent(controlMatch[1]);
+    } catch (e) {
+      sendJson(res, 400, { error: "Malformed call id" });
+      return;
+    }
+    const call = findActiveCall(callId);
+    if (!call) {
+      sendJson(res, 404, { error: "Call not found or already ended" });
+      return;
+    }
+
+    const body = (await parseJsonBody(req)) || {};
+    let result;
+    if (controlMatch[2] === "hangup") {
+      result = await call.hangup();
+    } else if (controlMatch[2] === "whisper") {
+      if (!body.text) {
+        sendJson(res, 400, { error: "text is required" });
+        return;
+      }
+      result = call.whisper(String(body.text), body.respond_now);
+    } else if (controlMatch[2] === "mute-ai") {
+      result = call.setAiMuted(body.muted !== false);
+    } else {
+      if (!body.number) {
+        sendJson(res, 400, { error: "number is required" });
+        return;
+      }
+      result = await call.takeOver(String(body.number));
+    }
+
+    sendJson(res, result.error ? 409 : 200, result);
+    return;
+  }
+
+  if (pathname === "/calls/outbound" && req.method === "POST") {
+    if (rejectUnauthorizedApi(req, res)) return;
+
+    const body = await parseJsonBody(req);
+    if (!body) {
+      sendJson(res, 400, { error: "Invalid JSON body" });
+      return;
+    }
+
+    const { campaign, error } = createOutboundCampaign(body);
+    if (error) {
+      sendJson(res, 400, { error });
+      return;
+    }
+
+    outboundLog.info("Campaign queued", { campaignId: campaign.id, companyId: campaign.companyId, calls: campaign.entries.length });
+    sendJson(res, 202, summarizeCampaign(campaign));
+    return;
+  }
+
+  if (pathname.startsWith("/calls/outbound/") && req.method === "GET") {
+    if (rejectUnauthorizedApi(req, res)) return;
+    const campaign = outboundCampaigns.get(pathname.slice("/calls/outbound/".length));
+    if (!campaign) {
+      sendJson(res, 404, { error: "Campaign not found" });
+      return;
+    }
+    sendJson(res, 200, summarizeCampaign(campaign));
+    return;
+  }
+
+  if (pathname === "/supervisor/token" && req.method === "POST") {
+    if (rejectUnauthorizedApi(req, res)) return;
+
+    const body = await parseJsonBody(req);
+    if (!body || !body.companyId) {
+      sendJson(res, 400, { error: "companyId is required" });
+      return;
+    }
+
+    const ttl = Math.min(parseInt(body.ttl_seconds, 10) || SUPERVISOR_TOKEN_TTL_SECONDS, SUPERVISOR_TOKEN_TTL_SECONDS);
+    const token = createStreamToken({ role: "supervisor", companyId: body.companyId }, ttl);
+    sendJson(res, 200, {
+      token,
+      expires_in: ttl,
+      url: `wss://${PUBLIC_HOST}/ws/supervisor?token=${token}`,
+    });
+    return;
+  }
+
+  if (pathname === "/twiml/outbound" && req.method === "POST") {
+    const formData = await parseFormBody(req);
+    if (rejectUnsignedTwilio(req, res, formData)) return;
+
+    const context = outboundCallContext.get(formData.CallSid);
+    if (!context) {
+      outboundLog.warn("No context for answered call, hanging up", { callSid: formData.CallSid });
+      res.writeHead(200, { "Content-Type": "text/xml" });
+      res.end(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Hangup />
+</Response>`);
+      return;
+    }
+
+    res.writeHead(200, { "Content-Type": "text/xml" });
+    res.end(buildStreamTwiml(context.companyId, "outbound", formData.CallSid, formData.To));
+    outboundLog.info("Call answered, connecting media stream", { callSid: formData.CallSid });
+    return;
+  }
+
+  if (pathname === "/twiml/outbound-status" && req.method === "POST") {
+    const formData = await parseFormBody(req);
+    if (rejectUnsignedTwilio(req, res, formData)) return;
+
+    outboundLog.info("Call finished", { callSid: formData.CallSid, status: formData.CallStatus });
+    finishOutboundCall(searchParams.get("campaignId"), formData.CallSid, formData.CallStatus);
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (pathname === "/twiml/transfer-status" && req.method === "POST") {
+    const formData = await parseFormBody(req);
+    if (rejectUnsignedTwilio(req, res, formData)) return;
+    const companyId = searchParams.get("companyId") || "";
+    const dialStatus = formData.DialCallStatus || "";
+
+    transferLog.info("Dial finished", { callSid: formData.CallSid, companyId, status: dialStatus });
+
+    let twiml;
+    if (dialStatus === "completed" || dialStatus === "answered") {
+      twiml = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Hangup />
+</Response>`;
+    } else {
+      twiml = buildVoicemailTwiml(companyId, "transfer_no_answer");
+    }
+
+    res.writeHead(200, { "Content-Type": "text/xml" });
+    res.end(twiml);
+    return;
+  }
+
+  if (pathname === "/twiml/ivr" && req.method === "POST") {
+    const formData = await parseFormBody(req);
+    if (rejectUnsignedTwilio(req, res, formData)) return;
+    const companyId = searchParams.get("companyId") || "";
+    const attempt = parseInt(searchParams.get("attempt"), 10) || 1;
+    const digit = formData.Digits || "";
+
+    let settings = {};
+    const result = await getCompanySettings(companyId);
+    if (result && !result.error) settings = result.settings || {};
+    const menu = getIvrMenu(settings);
+
+    let choice = menu && digit ? menu.options[digit] : null;
+    if (!choice && menu && digit && attempt < IVR_MAX_ATTEMPTS) {
+      twimlLog.info("IVR invalid choice, repeating menu", { callSid: formData.CallSid, companyId, digit, attempt });
+      res.writeHead(200, { "Content-Type": "text/xml" });
+      res.end(buildIvrMenuTwiml(companyId, menu, attempt + 1));
+      return;
+    }
+    if (choice) {
+      choice = { ...choice, digit };
+    } else {
+      choice = (menu && menu.default) || { action: "scenario" };
+    }
+
+    twimlLog.info("IVR choice", { callSid: formData.CallSid, companyId, digit: digit || "none", action: choice.action || "scenario" });
+    res.writeHead(200, { "Content-Type": "text/xml" });
+    res.end(buildIvrChoiceTwiml(choice, companyId, settings, formData));
+    return;
+  }
+
+  if (pathname === "/twiml/hold" && req.method === "POST") {
+    const formData = await parseFormBody(req);
+    if (rejectUnsignedTwilio(req, res, formData)) return;
+    const companyId = searchParams.get("companyId") || "";
+    const since = parseInt(searchParams.get("since"), 10) || Date.now();
+
+    let settings = {};
+    const result = await getCompanySettings(companyId);
+    if (result && !result.error) settings = result.settings || {};
+
+    twimlLog.info("Retrying held call", { callSid: formData.CallSid, companyId, waitedSeconds: Math.round((Date.now() - since) / 1000) });
+    const twiml = buildAdmittedStreamTwiml(companyId, searchParams.get("scenario") || "", settings, formData, {
+      ivrChoice: searchParams.get("ivrChoice") || "",
+      language: searchParams.get("language") || "",
+    }, {
+      since,
+      attempt: (parseInt(searchParams.get("attempt"), 10) || 1) + 1,
+    });
+    res.writeHead(200, { "Content-Type": "text/xml" });
+    res.end(twiml);
+    return;
+  }
+
+  if (pathname === "/twiml/voicemail" && req.method === "POST") {
+    const formData = await parseFormBody(req);
+    if (rejectUnsignedTwilio(req, res, formData)) return;
+    const companyId = searchParams.get("companyId") || "";
+
+    transferLog.info("Voicemail recorded", { callSid: formData.CallSid, companyId, durationSeconds: Number(formData.RecordingDuration || 0) });
+
+    if (companyId) {
+      await callBase44("saveVoicemail", companyId, {
+        call_sid: formData.CallSid || "",
+        caller_phone: formData.From || "Unknown",
+        recording_url: formData.RecordingUrl || "",
+        duration_seconds: parseInt(formData.RecordingDuration, 10) || 0,
+        reason: searchParams.get("reason") || "transfer_no_answer",
+        after_hours_disposition: searchParams.get("reason") === "after_hours" ? "voicemail" : undefined,
+      }, { callSid: formData.CallSid });
+    }
+
+    res.writeHead(200, { "Content-Type": "text/xml" });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Say>Thank you. We'll call you back as soon as possible. Goodbye.</Say>
+    <Hangup />
+</Response>`);
+    return;
+  }
+
+  res.writeHead(404);
+  res.end("Not found");
+});
+
+const activeCalls = new Map();
+
+function findActiveCall(idOrSid) {
+  return activeCalls.get(idOrSid) || [...activeCalls.values()].find((c) => c.callSid === idOrSid) || null;
+}
+
+function summarizeActiveCall(call) {
+  const lastTurn = call.transcript.filter((e) => e.role !== 'Tool').slice(-1)[0] || null;
+  return {
+    call_id: call.id,
+    call_sid: call.callSid,
+    company_id: call.companyId,
+    scenario: call.scenario,
+    direction: call.direction,
+    caller_phone: call.callerPhone,
+    assistant_name: call.assistantName,
+    started_at: new Date(call.startedAt).toISOString(),
+    duration_seconds: Math.round((Date.now() - call.startedAt) / 1000),
+    ai_muted: call.aiMuted,
+    last_turn: lastTurn,
+  };
+}
+
+function verifyTwilioUpgrade(info, done) {
+  const req = info.req;
+  const remote = req.socket.remoteAddress;
+
+  if (!isValidTwilioRequest(req, publicUrl(req, "wss"), {})) {
+    authLog.warn("Rejected WS upgrade: invalid or missing X-Twilio-Signature", { remote });
+    return done(false, 403, "Forbidden");
+  }
+
+  const url = parseRequestUrl(req);
+  const verified = verifyStreamToken(url && url.searchParams.get("token"));
+  if (verified.error || verified.claims.role) {
+    authLog.warn("Rejected WS upgrade", { reason: verified.error || "not a stream token", remote });
+    return done(false, 401, "Unauthorized");
+  }
+
+  req.streamClaims = verified.claims;
+  done(true);
+}
+
+function verifySupervisorUpgrade(info, done) {
+  const req = info.req;
+
+  if (isAuthorizedApiRequest(req)) {
+    req.supervisorClaims = { role: "supervisor", companyId: null };
+    return done(true);
+  }
+
+  const url = parseRequestUrl(req);
+  const verified = verifyStreamToken(url && url.searchParams.get("token"));
+  if (verified.error || verified.claims.role !== "supervisor") {
+    authLog.warn("Rejected supervisor upgrade", { reason: verified.error || "not a supervisor token", remote: req.socket.remoteAddress });
+    return done(false, 401, "Unauthorized");
+  }
+
+  req.supervisorClaims = verified.claims;
+  done(true);
+}
+
+const wss = new WebSocketServer({ noServer: true, verifyClient: verifyTwilioUpgrade });
+const supervisorWss = new WebSocketServer({ noServer: true, verifyClient: verifySupervisorUpgrade });
+
+server.on("upgrade", (req, socket, head) => {
+  const url = parseRequestUrl(req);
+  const pathname = url ? url.pathname : "";
+  const target = pathname === "/ws/twilio" ? wss : pathname === "/ws/supervisor" ? supervisorWss : null;
+  if (!target) {
+    socket.destroy();
+    return;
+  }
+  target.handleUpgrade(req, socket, head, (ws) => target.emit("connection", ws, req));
+});
+
+wss.on("connection", async (twilioWs, req) => {
+  const claims = req.streamClaims;
+  const companyId = claims.companyId;
+  const scenario = claims.scenario;
+  const callContext = scenario === "outbound" ? outboundCallContext.get(claims.callSid) || null : null;
+
+  let model = null;
+  let modelReady = false;
+  let reconnectAttempts = 0;
+  let replayContext = false;
+  let greeted = false;
+  let callEnded = false;
+  const reconnectLog = [];
+  const pendingCallerAudio = [];
+  let streamSid = null;
+  let callStartTime = Date.now();
+  let conversationLog = [];
+  let toolCallsMade = [];
+  let collectedCallerName = null;
+  let callerPhone = null;
+  let callSid = null;
+  let callLogSaved = false;
+  let assistantName = "Sarah";
+  let transferInfo = null;
+  let recorder = null;
+  let inboundAudio = null;
+  let scenarioDef = null;
+  let toolset = new Map();
+  const monitor = createMonitorMixer();
+  const outboundMixer = createOutboundMixer();
+  let outboundTimer = null;
+  let outboundClockStart = 0;
+  let outboundFramesSent = 0;
+  let interimClip = null;
+  const adminActions = [];
+  let aiMuted = false;
+  let modelConnectStartedAt = 0;
+  let firstAudioSent = false;
+  let lastCallerSpeechAt = 0;
+  let awaitingReply = false;
+  let officeStatus = { open: true };
+  let companyName = "CompanySync";
+  const savedLeadDetails = {};
+  let dtmfDigits = "";
+  const openTurns = { caller: null, agent: null };
+  let agentSpeech = { startedAt: 0, audioMs: 0 };
+  let callerSpeechStartedAt = 0;
+  let dtmfTimer = null;
+  const pendingModelText = [];
+  const vad = createVoiceActivityDetector();
+  const callerDecoder = createMulawDecoder();
+  let callLimits = getCallLimits({});
+  let callTimer = null;
+  let agentAudioUntil = 0;
+  let silenceSince = Date.now();
+  let silencePrompted = false;
+  let wrapUpSent = false;
+  let toolsRunning = 0;
+  let ending = null;
+  let endReason = null;
+  let languages = [];
+  let currentLanguage = null;
+  let languageSource = null;
+  let callerTurnsChecked = 0;
+  let promptVariables = {};
+  let callerHistory = null;
+  const smsSent = [];
+  let lastBooking = null;
+  let callerLineNumber = null;
+  let markStreamStarted = null;
+  const streamStarted = new Promise((resolve) => (markStreamStarted = resolve));
+
+  const activeCall = {
+    id: crypto.randomUUID(),
+    companyId,
+    scenario,
+    direction: callContext ? "outbound" : "inbound",
+    events: new EventEmitter(),
+    audioSubscribers: 0,
+    get callSid() { return callSid; },
+    get callerPhone() { return callerPhone; },
+    get assistantName() { return assistantName; },
+    get startedAt() { return callStartTime; },
+    get transcript() { return conversationLog; },
+    get aiMuted() { return aiMuted; },
+  };
+  activeCalls.set(activeCall.id, activeCall);
+  releaseCallSlot(claims.callSid);
+
+  const callLog = createLogger({
+    component: "call",
+    companyId,
+    get callSid() { return callSid || claims.callSid; },
+    get streamSid() { return streamSid; },
+  });
+  const streamLog = callLog.child({ component: "twilio" });
+  const callToolLog = callLog.child({ component: "tool" });
+  const callTransferLog = callLog.child({ component: "transfer" });
+  callLog.info("New connection", { scenario, direction: activeCall.direction });
+  if (claims.ivrChoice) logTurn('System', `Caller chose "${claims.ivrChoice}" in the phone menu`);
+  callsTotal.inc({ company_id: companyId, direction: activeCall.direction });
+
+  function callOffsetMs(at = Date.now()) {
+    return Math.max(0, at - callStartTime);
+  }
+
+  function logTurn(role, text) {
+    closeTurn("caller");
+    endAgentTurn();
+    const now = callOffsetMs();
+    const entry = { role, text, start_ms: now, end_ms: now };
+    conversationLog.push(entry);
+    activeCall.events.emit("transcript", entry);
+  }
+
+  // Streaming transcription fragments are merged into one conversationLog entry
+  // per turn. Supervisors see the entry grow (partial: true) until it closes.
+  function appendTranscript(role, text, final) {
+    let turn = openTurns[role];
+    if (!turn) {
+      if (role === "agent") closeTurn("caller");
+      let startedAt = Date.now();
+      if (role === "caller") {
+        if (callerSpeechStartedAt) startedAt = callerSpeechStartedAt;
+        callerSpeechStartedAt = 0;
+      }
+      if (role === "agent" && agentSpeech.startedAt) startedAt = agentSpeech.startedAt;
+      turn = { role: role === "caller" ? 'Caller' : assistantName, text: "", start_ms: callOffsetMs(startedAt), end_ms: 0 };
+      openTurns[role] = turn;
+      conversationLog.push(turn);
+    }
+    turn.text += text;
+    turn.end_ms = callOffsetMs();
+    activeCall.events.emit("transcript", { ...turn, partial: true });
+    if (final) closeTurn(role);
+  }
+
+  // heardMs is set when the caller barged in: only the share of the agent's
+  // text matching the audio that had actually played by then is kept.
+  function closeTurn(role, heardMs) {
+    const turn = openTurns[role];
+    if (!turn) return;
+    openTurns[role] = null;
+
+    let text = turn.text.replace(/\s+/g, " ").trim();
+    if (role === "agent" && agentSpeech.startedAt) {
+      if (heardMs !== undefined && agentSpeech.audioMs > 0) {
+        const cut = Math.round(text.length * Math.min(1, heardMs / agentSpeech.audioMs));
+        const boundary = text.lastIndexOf(" ", cut);
+        text = text.slice(0, cut >= text.length ? cut : boundary > 0 ? boundary : 0).trim();
+        turn.interrupted = true;
+        turn.end_ms = callOffsetMs();
+      } else {
+        turn.end_ms = Math.max(turn.end_ms, callOffsetMs(agentSpeech.startedAt + agentSpeech.audioMs));
+      }
+    }
+    turn.text = text;
 
-  let prev = pcm[0];
-  for (let i = 1; i < nSrc; i++) {
-    const orig = pcm[i];
-    pcm[i] = orig - 0.4 * prev;
-    prev = orig;
+    if (!text) {
+      conversationLog.splice(conversationLog.indexOf(turn), 1);
+      return;
+    }
+    activeCall.events.emit("transcript", turn);
+    if (role === "caller") detectCallerLanguage(text);
   }
 
-  const ratio = 3;
-  const nDst = Math.floor(nSrc / ratio);
-  const out = new Uint8Array(nDst);
-  for (let i = 0; i < nDst; i++) {
-    const center = i * ratio;
-    let acc = 0;
-    for (let k = 0; k < LP_LEN; k++) {
-      const idx = center - LP_HALF + k;
-      if (idx >= 0 && idx < nSrc) acc += pcm[idx] * LP_COEFFS[k];
-    }
-    const sample = Math.max(-32768, Math.min(32767, Math.round(acc)));
-    out[i] = mulawEncode(sample);
+  // Only the caller's first turns count, and only while nobody has picked a
+  // language explicitly.
+  function detectCallerLanguage(text) {
+    if (languages.length < 2 || languageSource !== "default" || callerTurnsChecked >= LANGUAGE_DETECTION_TURNS) return;
+    callerTurnsChecked++;
+    const code = detectLanguage(text, languages.map((l) => l.code));
+    if (!code) return;
+    // Deferred so the transcript fragment that closed this turn is stored first.
+    languageSource = "detected";
+    const language = findLanguage(languages, code);
+    setImmediate(() => switchLanguage(language, "detected"));
   }
-  return Buffer.from(out).toString("base64");
-}
 
-function generateTypingSound() {
-  const sampleRate = 8000;
-  const durationMs = 800;
-  const numSamples = Math.floor((sampleRate * durationMs) / 1000);
-  const buffer = new Uint8Array(numSamples);
-  buffer.fill(0xff);
-  for (let i = 0; i < 4; i++) {
-    const pos = Math.floor(Math.random() * (numSamples - 500));
-    const clickLen = 100 + Math.floor(Math.random() * 100);
-    for (let j = 0; j < clickLen; j++) {
-      if (Math.random() > 0.5) buffer[pos + j] = Math.floor(Math.random() * 256);
+  // A running session cannot change voice or instructions, so switching starts
+  // a fresh one and hands it the conversation so far.
+  function switchLanguage(language, source) {
+    if (language === currentLanguage) {
+      languageSource = source;
+      return;
+    }
+    callLog.info("Switching language", { language: language.code, previousLanguage: currentLanguage ? currentLanguage.code : undefined, source });
+    currentLanguage = language;
+    languageSource = source;
+    if (!model) {
+      logTurn('System', `Switched to ${languageName(language)}`);
+      return;
     }
+
+    endAgentTurn(agentSpeech.startedAt ? Math.min(Date.now() - agentSpeech.startedAt, agentSpeech.audioMs) : 0);
+    clearAgentAudio();
+    logTurn('System', `Switched to ${languageName(language)}`);
+    model.reconfigure({
+      settings: applyLanguageSettings(settings, language),
+      systemInstruction: buildSystemInstruction(scenarioDef, promptVariables, officeStatus, settings, language),
+    });
+    const history = conversationLog.map((e) => `${e.role}: ${e.text}`).join("\n");
+    pendingModelText.push(`(The caller speaks ${languageName(language)}. Conversation so far:\n${history}\nContinue the call in ${languageName(language)} and answer the caller now.)`);
+    modelReady = false;
+    replayContext = false;
+    connectModel();
   }
-  return Buffer.from(buffer).toString("base64");
-}
 
-const TYPING_SOUND_BASE64 = generateTypingSound();
+  function connectModel() {
+    if (callEnded) return;
+    modelConnectStartedAt = Date.now();
+    model.connect();
+  }
 
-async function callBase44(action, companyId, data) {
-  if (!BASE44_API_URL) {
-    console.error("[BASE44] No BASE44_API_URL configured, cannot call:", action);
-    return { error: "Base44 API not configured" };
+  function endAgentTurn(heardMs) {
+    closeTurn("agent", heardMs);
+    agentSpeech = { startedAt: 0, audioMs: 0 };
   }
+  let outboundAudio = null;
 
-  try {
-    const resp = await fetch(BASE44_API_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${BRIDGE_SECRET}`,
-      },
-      body: JSON.stringify({
-        action,
-        companyId,
-        data,
-      }),
+  async function saveCallToBase44() {
+    if (callLogSaved || !companyId) return;
+    callLogSaved = true;
+
+    const durationSec = Math.round((Date.now() - callStartTime) / 1000);
+    const reason = endReason || "disconnected";
+    callEndsTotal.inc({ reason });
+    closeTurn("caller");
+    endAgentTurn();
+    const turns = [...conversationLog].sort((a, b) => a.start_ms - b.start_ms);
+    const transcript = turns.map(e => `${e.role}: ${e.text}`).join('\n');
+    const transcriptTurns = turns.map((e) => ({
+      role: e.role,
+      text: e.text,
+      start_ms: e.start_ms,
+      end_ms: e.end_ms,
+      interrupted: e.interrupted || undefined,
+    }));
+
+    let recordingRef = null;
+    if (recorder && !recorder.isEmpty()) {
+      const stored = await storeRecording(recorder.toWav(), companyId, `${callSid || Date.now()}.wav`);
+      if (stored.ref) {
+        recordingRef = stored.ref;
+        callLog.child({ component: "recording" }).info("Recording saved", { ref: stored.ref });
+      }
+    }
+
+    let callSummary = null;
+    if (settings.call_summary_enabled !== false) {
+      callSummary = await callSummarizer.summarize(conversationLog, {
+        companyName,
+        assistantName,
+        toolCalls: toolCallsMade,
+        savedLead: savedLeadDetails,
+      });
+      if (callSummary) callSummariesTotal.inc({ disposition: callSummary.disposition });
+    }
+    const missedFields = callSummary
+      ? Object.fromEntries(Object.entries(callSummary.extracted).filter(([key]) => !savedLeadDetails[key]))
+      : undefined;
+
+    callLog.info("Saving call log", {
+      durationSeconds: durationSec,
+      exchanges: conversationLog.length,
+      toolCalls: toolCallsMade.length,
+      endReason: reason,
+      disposition: callSummary ? callSummary.disposition : undefined,
     });
 
-    if (!resp.ok) {
-      const text = await resp.text();
-      console.error(`[BASE44] ${action} failed: ${resp.status} ${text}`);
-      return { error: `Base44 ${action} failed: ${resp.status}` };
+    try {
+      const result = await callBase44('saveCallLog', companyId, {
+        caller_phone: callerPhone || 'Unknown',
+        caller_name: collectedCallerName || 'Voice Caller',
+        duration_seconds: durationSec,
+        end_reason: reason,
+        transcript: transcript,
+        transcript_json: transcriptTurns,
+        call_sid: callSid || '',
+        tool_calls_made: toolCallsMade,
+        assistant_name: assistantName,
+        transfer: transferInfo,
+        direction: callContext ? "outbound" : "inbound",
+        campaign_id: callContext ? callContext.campaignId : undefined,
+        model_provider: model ? model.name : undefined,
+        scenario: scenarioDef ? scenarioDef.name : undefined,
+        prompt_version: scenarioDef ? `${scenarioDef.version}+${scenarioDef.hash}` : undefined,
+        prompt_source: scenarioDef ? scenarioDef.source : undefined,
+        model_reconnects: reconnectLog,
+        recording_ref: recordingRef,
+        ivr_choice: claims.ivrChoice || undefined,
+        language: currentLanguage ? currentLanguage.code : undefined,
+        language_source: languageSource || undefined,
+        lead_id: callerHistory ? callerHistory.lead.id : undefined,
+        sms_sent: smsSent,
+        returning_caller: callerHistory ? true : undefined,
+        after_hours_disposition: officeStatus.open ? undefined : officeStatus.mode,
+        after_hours_reason: officeStatus.open ? undefined : officeStatus.reason,
+        summary: callSummary ? callSummary.summary : undefined,
+        disposition: callSummary ? callSummary.disposition : undefined,
+        sentiment_score: callSummary ? callSummary.sentiment : undefined,
+        urgency_score: callSummary ? callSummary.urgency : undefined,
+        extracted_fields: missedFields,
+        summary_model: callSummary ? callSummarizer.model : undefined,
+        admin_actions: adminActions,
+      }, { callSid });
+      if (result.error) {
+        callLog.error("Failed to save call log", { error: result.error });
+      } else {
+        callLog.info(result.queued ? "Call log queued for CRM" : "Call log saved to CRM");
+      }
+    } catch (err) {
+      callLog.error("Failed to save call log", { err });
     }
+  }
 
-    return await resp.json();
-  } catch (e) {
-    console.error(`[BASE44] ${action} error:`, e.message);
-    return { error: e.message };
+  function sendCallerAudio(pcmB64) {
+    if (aiMuted) return;
+    if (!modelReady || !model.sendAudio(pcmB64)) {
+      pendingCallerAudio.push(pcmB64);
+      if (pendingCallerAudio.length > MODEL_AUDIO_BUFFER_CHUNKS) {
+        pendingCallerAudio.shift();
+        droppedFramesTotal.inc({ direction: "to_model" });
+      }
+    }
   }
-}
 
-function buildSystemInstruction(settings, companyName, scenario, knowledgeBase, audioContext, interimContext, agentName) {
-  agentName = agentName || "Sarah";
-  const basePrompt =
-    settings.system_prompt ||
-    `You are ${agentName}, a friendly receptionist for ${companyName}.`;
-
-  if (scenario === "saas_demo") {
-    return `
-IDENTITY & ROLE:
-You are ${agentName}, the Lead Sales Representative for CompanySync.io.
-CompanySync is the "Roof Operating System" - the all-in-one CRM built specifically for roofing contractors.
-Your goal is to GET THE ROOFER TO SUBSCRIBE or BOOK A DEMO.
-
-VALUE PROPOSITION:
-- All-in-One: Replaces JobNimbus, Acculynx, and ServiceTitan for just $99/month (flat rate).
-- AI-Powered: Comes with an AI text assistant and "${agentName}" (YOU - the AI voice receptionist).
-- Speed: Sets up in 5 minutes. No 4-week onboarding.
-- Features: AI Estimating, Storm Tracking, Mobile App, Automations, Payments.
-
-CONVERSATION FLOW:
-1. QUALIFY:
-   - "Thanks for calling CompanySync! Are you currently running a roofing business?"
-   - "How many crews or sales reps do you have?"
-   - "What software are you using right now?"
-2. PITCH:
-   - If they use JobNimbus/Acculynx: "We replace them for a fraction of the cost, and we include the AI receptionist feature for free."
-   - If they use nothing: "CompanySync is perfect for you. It organizes your leads, estimates, and jobs."
-3. CLOSE:
-   - "I can text you a link to start a free trial right now. Does that sound good?"
-   - OR "Do you want to book a quick 15-minute demo?"
-
-OBJECTION HANDLING:
-- Is this AI?: "Yes! I am ${agentName}, the AI receptionist that comes BUILT-IN with CompanySync."
-- Price?: "It's $99/month flat. Unlimited users. No hidden fees."
-
-SPECIFIC KNOWLEDGE BASE:
-${knowledgeBase || ""}
-
-TOOL PROTOCOLS:
-- save_lead_details: Save their Name, Company Name, and Phone immediately.
-- book_appointment: Use for booking the DEMO.
-- check_availability: Check for demo times.
-
-${audioContext}
-${interimContext}
-`;
-  }
-
-  return `
-IDENTITY & ROLE:
-${basePrompt}
-You are "${agentName}", the Senior Office Manager and Intake Specialist for ${companyName}, a premier roofing contractor.
-You are NOT a generic AI. You are a roofing industry expert.
-Your goal is to BOOK THE FREE INSPECTION.
-
-DOMAIN KNOWLEDGE:
-- Hail Damage: "It bruises the shingle mat and voids the manufacturer warranty."
-- Wind Damage: "Missing shingles can lead to active leaks and rot if not addressed quickly."
-- Insurance: "We specialize in insurance restoration. We work with all major carriers."
-- The Process: "Step 1 is a free, no-obligation inspection. We give you a full report."
-
-SPECIFIC KNOWLEDGE BASE:
-${knowledgeBase || "No specific knowledge base provided."}
-
-CONVERSATION FLOW:
-1. GREETING: "Thanks for calling ${companyName}, this is ${agentName}. How can I help you with your property today?"
-2. DISCOVERY: Assess their situation (leak, quote, inspection).
-3. QUALIFICATION: Get property address and name.
-4. CLOSE: Book the inspection using check_availability and book_appointment tools.
-
-CORE RULES:
-- VOICE-FIRST: Short, punchy sentences (max 20 words). No monologues.
-- LEAD THE DANCE: Always end your turn with a question.
-- NO FLUFF: Don't repeat "I understand" or "That sounds good."
-
-TOOL PROTOCOLS:
-- save_lead_details: CALL THIS IMMEDIATELY once you have a Name, Phone, or Address.
-- check_availability: Use when they show interest in an inspection.
-- book_appointment: Use after they agree to a specific time.
-
-${audioContext}
-${interimContext}
-`;
-}
+  // Digits still waiting for the timeout when the caller hangs up go into the
+  // transcript; there is nobody left for the model to answer.
+  function keepPendingDtmf() {
+    clearTimeout(dtmfTimer);
+    if (dtmfDigits) logTurn('Caller', `[keypad] ${dtmfDigits}`);
+    dtmfDigits = "";
+  }
 
-function parseFormBody(req) {
-  return new Promise((resolve) => {
-    let body = "";
-    req.on("data", (chunk) => (body += chunk));
-    req.on("end", () => {
-      const params = {};
-      body.split("&").forEach((pair) => {
-        const [k, v] = pair.split("=");
-        if (k) params[decodeURIComponent(k)] = decodeURIComponent(v || "");
-      });
-      resolve(params);
-    });
-  });
-}
+  function handleDtmf(digit) {
+    clearTimeout(dtmfTimer);
+    if (digit === "#") {
+      flushDtmf();
+      return;
+    }
+    silenceSince = Date.now();
+    silencePrompted = false;
+    dtmfDigits += digit;
+    dtmfTimer = setTimeout(flushDtmf, DTMF_DIGIT_TIMEOUT_MS);
+  }
 
-const server = http.createServer(async (req, res) => {
-  if (req.url === "/health" || req.url === "/") {
-    res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(
+  function flushDtmf() {
+    clearTimeout(dtmfTimer);
+    const digits = dtmfDigits;
+    dtmfDigits = "";
+    if (!digits) return;
+
+    logTurn('Caller', `[keypad] ${digits}`);
+    // Only at the opening of the call: later digits are answers (a ZIP code,
+    // a quantity) and must not restart the session in another language.
+    const choosingLanguage = languages.length > 1 && languageSource === "default" && callerTurnsChecked === 0;
+    const keyedLanguage = choosingLanguage && digits.length === 1 ? languages.find((l) => l.dtmf && String(l.dtmf) === digits) : null;
+    if (keyedLanguage) {
+      switchLanguage(keyedLanguage, "dtmf");
+      return;
+    }
+    callLog.info("Keypad input", { digitCount: digits.length });
+    const text = `(The caller typed on their keypad: ${digits.split("").join(" ")})`;
+    if (model && modelReady) {
+      model.sendText(text, true);
+    } else {
+      pendingModelText.push(text);
+    }
+  }
+
+  function sendAudioToTwilio(mulawB64) {
+    if (!streamSid || twilioWs.readyState !== WebSocket.OPEN) {
+      droppedFramesTotal.inc({ direction: "to_twilio" });
+      return;
+    }
+    twilioWs.send(
       JSON.stringify({
-        status: "ok",
-        service: "sarah-media-stream-bridge",
-        base44_configured: !!BASE44_API_URL,
-        gemini_configured: !!GEMINI_API_KEY,
+        event: "media",
+        streamSid: streamSid,
+        media: { payload: mulawB64 },
       })
     );
-    return;
+    if (recorder) recorder.addAgent(mulawB64);
+    if (activeCall.audioSubscribers > 0) monitor.pushAgent(mulawB64);
   }
 
-  if (req.url === "/twiml/voice" && req.method === "POST") {
-    const formData = await parseFormBody(req);
-    const calledNumber = (formData.Called || formData.To || "").replace(/\D/g, "");
-    const callerNumber = formData.From || "";
+  // Sends every frame that is due by now (plus the lead), keeping the caller's
+  // audio paced to real time whether or not the agent is speaking.
+  function pumpOutboundAudio() {
+    if (!outboundClockStart) return;
+    const due = Math.floor((Date.now() - outboundClockStart) / OUTBOUND_FRAME_MS) + OUTBOUND_LEAD_FRAMES;
+    while (outboundFramesSent < due) {
+      outboundFramesSent++;
+      const frame = outboundMixer.nextFrame();
+      if (frame) sendAudioToTwilio(frame);
+    }
+  }
 
-    console.log(`[TWIML] Incoming call to ${calledNumber} from ${callerNumber}`);
+  function clearAgentAudio() {
+    if (streamSid && twilioWs.readyState === WebSocket.OPEN) {
+      twilioWs.send(JSON.stringify({ event: "clear", streamSid }));
+    }
+    outboundAudio?.reset();
+    outboundMixer.clearAgent();
+    outboundMixer.stopInterim();
+    agentAudioUntil = Date.now();
+    monitor.clearAgent();
+    if (recorder) recorder.clearAgent();
+  }
 
-    let companyId = "";
-    let scenario = "";
+  // Runs every second while the stream is up. Silence counts from the end of
+  // the agent's audio, except that the "are you still there" prompt itself
+  // does not restart the clock for the silence hangup.
+  function checkCallTimers() {
+    const now = Date.now();
+    if (ending) {
+      if ((ending.turnDone && now >= agentAudioUntil + 500) || now >= ending.deadline) endCall(ending.reason);
+      return;
+    }
 
-    if (calledNumber && BASE44_API_URL) {
-      try {
-        const lookup = await callBase44("lookupByPhone", null, { phone_number: calledNumber });
-        if (lookup.success && lookup.company_id) {
-          companyId = lookup.company_id;
-          console.log(`[TWIML] Resolved company: ${companyId} for number ${calledNumber}`);
-        } else {
-          console.warn(`[TWIML] No company found for ${calledNumber}`);
-        }
-      } catch (e) {
-        console.error(`[TWIML] Lookup failed:`, e.message);
-      }
+    const elapsed = now - callStartTime;
+    if (elapsed >= callLimits.maxDurationMs) {
+      beginEnding("max_duration", "(The call has reached its time limit. Apologize that you have to go, and say a short goodbye now.)");
+      return;
+    }
+    if (!wrapUpSent && modelReady && elapsed >= callLimits.maxDurationMs - CALL_WRAP_UP_SECONDS * 1000) {
+      wrapUpSent = true;
+      callLog.info("Call nearing time limit, wrapping up", { elapsedSeconds: Math.round(elapsed / 1000) });
+      model.sendText(`(This call has to end within ${Math.round((callLimits.maxDurationMs - elapsed) / 1000)} seconds. Start wrapping up: confirm the next steps and let the caller know the team will follow up.)`, false);
     }
 
-    if (!companyId) {
-      companyId = "695944e3c1fb00b7ab716c6f";
-      scenario = "saas_demo";
-      console.log(`[TWIML] Defaulting to CompanySync demo`);
+    if (!modelReady || aiMuted || toolsRunning > 0 || now < agentAudioUntil) return;
+    const silentMs = now - Math.max(silenceSince, lastCallerSpeechAt, silencePrompted ? 0 : agentAudioUntil);
+    if (silencePrompted && silentMs >= callLimits.silenceHangupMs) {
+      beginEnding("silence", "(The caller is not answering. Say a short goodbye and that they are welcome to call back any time.)");
+    } else if (!silencePrompted && silentMs >= callLimits.silencePromptMs) {
+      silencePrompted = true;
+      silenceSince = now - silentMs;
+      callLog.info("Dead air, prompting caller", { silentSeconds: Math.round(silentMs / 1000) });
+      logTurn('System', `No response for ${Math.round(silentMs / 1000)} seconds`);
+      model.sendText('(The caller has gone quiet. Ask "Are you still there?")', true);
     }
+  }
 
-    const wsHost = process.env.RAILWAY_WS_HOST || "sarah-media-stream-bridge-production.up.railway.app";
-    const wsUrl = `wss://${wsHost}/ws/twilio?companyId=${companyId}&scenario=${scenario}`;
+  // Has the model say goodbye, then hangs up once the goodbye has played.
+  function beginEnding(reason, goodbye) {
+    callLog.info("Ending call", { reason });
+    if (!model || !modelReady || aiMuted) {
+      endCall(reason);
+      return;
+    }
+    ending = { reason, startedAt: Date.now(), turnDone: false, deadline: Date.now() + GOODBYE_TIMEOUT_MS };
+    logTurn('System', reason === "silence" ? "Ending call after silence" : "Ending call at the time limit");
+    model.sendText(goodbye, true);
+  }
 
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Connect>
-        <Stream url="${wsUrl}">
-            <Parameter name="companyId" value="${companyId}" />
-            <Parameter name="callerNumber" value="${callerNumber}" />
-        </Stream>
-    </Connect>
-</Response>`;
+  async function endCall(reason) {
+    if (endReason) return;
+    endReason = reason;
+    ending = null;
+    clearInterval(callTimer);
+    if (callSid) await callTwilio(`/Calls/${callSid}.json`, { Status: "completed" });
+    twilioWs.close();
+  }
 
-    res.writeHead(200, { "Content-Type": "text/xml" });
-    res.end(twiml);
-    console.log(`[TWIML] Served TwiML for company ${companyId}, WS: ${wsUrl}`);
-    return;
+  async function executeTool(call) {
+    const tool = toolset.get(call.name);
+    if (!tool) {
+      callToolLog.warn("Model called unknown tool", { tool: call.name });
+      return toolError("unknown_tool", `No tool named "${call.name}" is available on this call`);
+    }
+
+    const problems = validateToolArgs(tool.declaration.parameters, call.args);
+    if (problems.length > 0) {
+      callToolLog.warn("Invalid tool arguments", { tool: call.name, problems });
+      return toolError("invalid_arguments", `Arguments for ${call.name} did not match its schema`, problems);
+    }
+
+    if (call.name === "transfer_call") return transferCall(call.args);
+    if (call.name === "send_sms") return sendSmsTemplate(call.args.template, "tool");
+    if (tool.webhook) return callToolWebhook(call.name, tool.webhook, call.args, { companyId, callSid });
+    const args = { ...call.args };
+    if (call.name === "save_lead_details" && currentLanguage) args.language = currentLanguage.code;
+    // Writes attach to the returning caller's lead instead of creating a new one.
+    if (callerHistory && callerHistory.lead.id && (call.name === "save_lead_details" || call.name === "book_appointment")) {
+      args.lead_id = callerHistory.lead.id;
+    }
+    const result = await callBase44(tool.action, companyId, args, { callSid });
+    if (call.name === "book_appointment" && result && !result.error && !result.queued) return confirmBooking(call.args, result);
+    return result;
   }
 
-  res.writeHead(404);
-  res.end("Not found");
-});
+  async function confirmBooking(args, result) {
+    lastBooking = { slot_time: args.slot_time, address: result.address };
+    if (settings.sms_booking_confirmation === false || !getSmsTemplates(settings).booking_confirmation) return result;
 
-const wss = new WebSocketServer({ server, path: "/ws/twilio" });
+    toolCallsMade.push("send_sms");
+    const sms = await sendSmsTemplate("booking_confirmation", "auto");
+    activeCall.events.emit("tool", { name: "send_sms", args: { template: "booking_confirmation" }, result: sms });
+    return { ...result, confirmation_sms: sms.error ? "not_sent" : "sent" };
+  }
 
-wss.on("connection", async (twilioWs, req) => {
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const companyId = url.searchParams.get("companyId");
-  const scenario = url.searchParams.get("scenario");
-  console.log(`[CALL] New connection, companyId=${companyId}, scenario=${scenario}`);
+  // Only fixed templates go out, once each, and only to the number Twilio
+  // reports for the call, never to a number the model saved.
+  async function sendSmsTemplate(name, trigger) {
+    const template = getSmsTemplates(settings)[name];
+    if (!template) return toolError("unknown_template", `No text message named "${name}" is available`);
+    if (smsSent.some((s) => s.template === name && !s.error)) return { success: true, already_sent: true };
+    if (smsSent.filter((s) => !s.error).length >= SMS_MAX_PER_CALL) return toolError("limit_reached", "Enough texts were already sent on this call");
+
+    const to = (callerLineNumber || "").replace(/[^\d+]/g, "");
+    if (!/^\+?\d{10,15}$/.test(to)) return toolError("no_phone_number", "The caller's number is withheld, so texts cannot be sent on this call");
+
+    const timezone = (settings.business_hours && settings.business_hours.timezone) || DEFAULT_CALLING_HOURS.timezone;
+    const variables = {
+      ...getSmsCompanyVariables(settings),
+      company_name: companyName,
+      agent_name: assistantName,
+      name: smsCallerValue("name", savedLeadDetails.name, collectedCallerName, callerHistory && callerHistory.lead.name),
+      appointment_time: lastBooking && !Number.isNaN(new Date(lastBooking.slot_time).getTime()) ? formatAppointmentTime(lastBooking.slot_time, timezone) : undefined,
+      address: smsCallerValue("address", lastBooking && lastBooking.address, savedLeadDetails.address, callerHistory && callerHistory.lead.address),
+    };
+    const missing = missingTemplateVariables(template, variables);
+    if (missing.length > 0) return toolError("missing_details", `Cannot send ${name} yet`, missing);
+
+    const body = renderTemplate(template, variables).trim();
+    const result = await sendSms(settings.sms_from_number || SMS_FROM_NUMBER, to, body);
+    smsSentTotal.inc({ template: name, outcome: result.error ? "error" : "ok" });
+    smsSent.push({
+      template: name,
+      to,
+      body,
+      trigger,
+      sid: result.sid,
+      status: result.status,
+      error: result.error,
+      sent_at: new Date().toISOString(),
+    });
+    if (result.error) return toolError("send_failed", "The text could not be sent");
 
-  let geminiWs = null;
-  let streamSid = null;
-  let callStartTime = Date.now();
-  let conversationLog = [];
-  let toolCallsMade = [];
-  let collectedCallerName = null;
-  let callerPhone = null;
-  let callSid = null;
-  let callLogSaved = false;
-  let assistantName = "Sarah";
+    logTurn('System', `Texted ${name.replace(/_/g, " ")} to the caller`);
+    return { success: true, sent: name };
+  }
 
-  async function saveCallToBase44() {
-    if (callLogSaved || !companyId) return;
-    callLogSaved = true;
+  async function transferCall(args) {
+    const target = pickTransferTarget(settings, args.department);
+    if (!target) return { error: "No transfer number configured" };
+    return redirectToNumber(target, args.reason || "");
+  }
 
-    const durationSec = Math.round((Date.now() - callStartTime) / 1000);
-    const transcript = conversationLog.map(e => `${e.role}: ${e.text}`).join('\n');
+  async function redirectToNumber(target, reason) {
+    if (!callSid) return { error: "Call is not connected yet" };
+
+    callTransferLog.info("Transferring call", { label: target.label || "default", to: target.number, reason });
+    const result = await callTwilio(`/Calls/${callSid}.json`, {
+      Twiml: buildTransferTwiml(target, companyId, settings),
+    });
+    if (result.error) return result;
+
+    transferInfo = {
+      to: target.number,
+      label: target.label || "",
+      reason,
+      transferred_at: new Date().toISOString(),
+    };
+    logTurn('System', `Transferred to ${target.label || target.number}`);
+    return { success: true, transferred_to: target.label || "a team member" };
+  }
+
+  function recordAdminAction(action, details = {}) {
+    adminActions.push({ action, at: new Date().toISOString(), ...details });
+    logTurn('System', `Admin ${action}${details.text ? `: ${details.text}` : ""}`);
+    callLog.child({ component: "admin" }).info("Admin action", { action, callId: activeCall.id });
+  }
+
+  Object.assign(activeCall, {
+    async hangup() {
+      recordAdminAction("hangup");
+      await endCall("admin_hangup");
+      return { success: true };
+    },
+
+    whisper(text, respondNow) {
+      if (!model || !modelReady) return { error: "AI session is not ready" };
+      recordAdminAction("whisper", { text });
+      model.sendText(`(Instruction from your supervisor, do not read it out: ${text})`, !!respondNow);
+      return { success: true };
+    },
+
+    setAiMuted(muted) {
+      aiMuted = !!muted;
+      recordAdminAction(aiMuted ? "mute_ai" : "unmute_ai");
+      if (aiMuted) {
+        clearAgentAudio();
+        pendingCallerAudio.length = 0;
+      }
+      return { success: true, muted: aiMuted };
+    },
 
-    console.log(`[CALL] Saving call log: ${durationSec}s, ${conversationLog.length} exchanges, ${toolCallsMade.length} tool calls`);
+    async takeOver(number) {
+      recordAdminAction("take_over", { to: number });
+      return redirectToNumber({ label: "supervisor", number }, "Supervisor took over the call");
+    },
+  });
 
+  twilioWs.on("message", (rawMsg) => {
     try {
-      await callBase44('saveCallLog', companyId, {
-        caller_phone: callerPhone || 'Unknown',
-        caller_name: collectedCallerName || 'Voice Caller',
-        duration_seconds: durationSec,
-        transcript: transcript,
-        call_sid: callSid || '',
-        tool_calls_made: toolCallsMade,
-        assistant_name: assistantName,
-      });
-      console.log('[CALL] Call log saved to CRM successfully');
+      const msg = JSON.parse(rawMsg.toString());
+
+      if (msg.event === "start") {
+        streamLog.info("Stream started", { streamSid: msg.start.streamSid });
+        streamSid = msg.start.streamSid;
+        callStartTime = Date.now();
+        silenceSince = callStartTime;
+        callTimer = setInterval(checkCallTimers, CALL_TIMER_INTERVAL_MS);
+        outboundClockStart = callStartTime;
+        outboundTimer = setInterval(pumpOutboundAudio, OUTBOUND_FRAME_MS);
+        if (recorder) recorder.start();
+        callSid = msg.start.callSid || null;
+        if (claims.callSid && callSid !== claims.callSid) {
+          authLog.warn("Stream callSid does not match token callSid, closing", { callSid, tokenCallSid: claims.callSid });
+          callLogSaved = true;
+          twilioWs.close();
+          return;
+        }
+        const customParams = msg.start.customParameters || {};
+        if (customParams.callerNumber) callerPhone = customParams.callerNumber;
+        if (customParams.callerPhone) callerPhone = customParams.callerPhone;
+        callerLineNumber = callerPhone;
+        markStreamStarted();
+      }
+
+      if (msg.event === "media") {
+        const mulaw = Buffer.from(msg.media.payload, "base64");
+        const pcm8k = callerDecoder.decode(mulaw);
+
+        if (recorder) recorder.addCaller(mulaw, msg.media.timestamp);
+        if (activeCall.audioSubscribers > 0) activeCall.events.emit("audio", monitor.mixCaller(pcm8k));
+
+        if (vad.isSpeech(pcm8k)) {
+          if (!awaitingReply && !openTurns.caller) callerSpeechStartedAt = Date.now();
+          lastCallerSpeechAt = Date.now();
+          awaitingReply = true;
+          silencePrompted = false;
+        }
+
+        if (inboundAudio) sendCallerAudio(inboundAudio.convert(pcm8k));
+      }
+
+      if (msg.event === "dtmf" && msg.dtmf && msg.dtmf.digit) {
+        handleDtmf(msg.dtmf.digit);
+      }
+
+      if (msg.event === "stop") {
+        streamLog.info("Stream stopped");
+        if (!endReason) endReason = transferInfo ? "transferred" : "caller_hangup";
+        callEnded = true;
+        keepPendingDtmf();
+        model?.close();
+      }
     } catch (err) {
-      console.error('[CALL] Failed to save call log:', err.message);
+      streamLog.error("Message error", { err });
     }
+  });
+
+  twilioWs.on("close", () => {
+    streamLog.info("Connection closed");
+    callEnded = true;
+    keepPendingDtmf();
+    clearInterval(callTimer);
+    clearInterval(outboundTimer);
+    activeCalls.delete(activeCall.id);
+    recordCallMinutes(companyId, (Date.now() - callStartTime) / 1000);
+    for (const campaign of outboundCampaigns.values()) {
+      if (campaign.companyId === companyId) pumpOutboundCampaign(campaign);
+    }
+    activeCall.events.emit("ended");
+    saveCallToBase44();
+    model?.close();
+  });
+
+  let settings = {};
+
+  // Setup waits on Base44 and the stream start; a caller who hangs up meanwhile
+  // has already been cleaned up by the close handler, so nothing would ever
+  // close a model session opened after that.
+  function hungUpDuringSetup() {
+    if (!callEnded) return false;
+    callLog.info("Caller hung up during setup, not connecting the model");
+    return true;
   }
 
   try {
-    let settings = {};
-    let companyName = "CompanySync";
 
     if (companyId && BASE44_API_URL) {
       try {
-        const result = await callBase44("getSettings", companyId);
+        const result = await getCompanySettings(companyId);
         if (result && !result.error) {
           settings = result.settings || {};
           companyName = result.companyName || "our company";
@@ -401,7 +2742,21 @@ wss.on("connection", async (twilioWs, req) => {
           }
         }
       } catch (e) {
-        console.error("[CALL] Failed to load settings:", e.message);
+        callLog.error("Failed to load settings", { err: e });
+      }
+      if (hungUpDuringSetup()) return;
+    }
+
+    if (companyId && BASE44_API_URL && !callContext && settings.returning_caller_lookup !== false) {
+      await Promise.race([streamStarted, new Promise((resolve) => setTimeout(resolve, STREAM_START_WAIT_MS))]);
+      if (hungUpDuringSetup()) return;
+      if (callerPhone) {
+        callerHistory = await lookupCallerHistory(companyId, callerPhone, callSid || claims.callSid);
+        if (hungUpDuringSetup()) return;
+        if (callerHistory) {
+          if (callerHistory.lead.name) collectedCallerName = callerHistory.lead.name;
+          callLog.info("Returning caller", { leadId: callerHistory.lead.id, appointments: callerHistory.appointments.length, hasLastCall: !!callerHistory.lastCall });
+        }
       }
     }
 
@@ -414,8 +2769,20 @@ wss.on("connection", async (twilioWs, req) => {
       kbParts.push(`Custom responses: ${JSON.stringify(settings.custom_responses)}`);
     }
     const knowledgeBase = kbParts.join("\n\n");
+    callLimits = getCallLimits(settings);
+
+    if (settings.call_recording_enabled) {
+      recorder = createCallRecorder();
+      if (streamSid) recorder.start(callStartTime);
+      callLog.child({ component: "recording" }).info("Call recording enabled for this company");
+    }
 
     let audioContext = "";
+    const ambience = getAmbience(settings.background_audio);
+    if (ambience) {
+      const level = Number(settings.background_audio_level);
+      outboundMixer.setAmbience(ambience, Number.isFinite(level) ? level : DEFAULT_AMBIENCE_LEVEL);
+    }
     if (settings.background_audio === "call_center") {
       audioContext =
         "STYLE: You are working in a BUSY CALL CENTER. Speak with a professional, energetic tone.";
@@ -425,9 +2792,8 @@ wss.on("connection", async (twilioWs, req) => {
     }
 
     let interimContext = "";
-    let useTypingSound = false;
+    interimClip = getInterimClip(settings.interim_audio);
     if (settings.interim_audio === "typing") {
-      useTypingSound = true;
       interimContext =
         'BEHAVIOR: When you use a tool, say something brief like "Let me type that in..." before you start.';
     } else if (settings.interim_audio === "thinking") {
@@ -435,280 +2801,286 @@ wss.on("connection", async (twilioWs, req) => {
         'BEHAVIOR: Use natural fillers like "Hmm, let me see..." when thinking.';
     }
 
-    const systemInstruction = buildSystemInstruction(
+    scenarioDef = resolveScenario(
+      callContext ? "outbound" : scenario || settings.scenario,
+      settings
+    );
+    promptVariables = buildPromptVariables(
       settings,
       companyName,
-      scenario,
       knowledgeBase,
       audioContext,
       interimContext,
-      assistantName
+      assistantName,
+      callContext
     );
+    promptVariables.caller_history = callerHistory ? describeCallerHistory(callerHistory, settings) : "";
+    officeStatus = callContext ? { open: true } : getOfficeStatus(settings);
+    if (!officeStatus.open) callLog.info("After hours", { mode: officeStatus.mode, reason: officeStatus.reason });
+    languages = getLanguages(settings);
+    if (languages.length > 0) {
+      const ivrLanguage = findLanguage(languages, claims.language);
+      const leadLanguage = callContext && callContext.lead ? findLanguage(languages, callContext.lead.language) : null;
+      currentLanguage = ivrLanguage || leadLanguage || languages[0];
+      languageSource = ivrLanguage ? "ivr" : leadLanguage ? "lead" : "default";
+    }
+    const systemInstruction = buildSystemInstruction(scenarioDef, promptVariables, officeStatus, settings, currentLanguage);
 
-    const selectedVoice =
-      VOICE_MAP[settings.voice_id || settings.gemini_voice || ""] ||
-      VOICE_MAP["default"];
+    const greetingTemplate = (currentLanguage && currentLanguage.greeting) || scenarioDef.greeting;
+    let greeting = greetingTemplate ? renderTemplate(greetingTemplate, promptVariables) : "";
+    if (greeting && settings.call_recording_enabled) {
+      greeting = `${settings.recording_consent_message || DEFAULT_RECORDING_CONSENT_MESSAGE} ${greeting}`;
+    }
 
-    console.log(`[CALL] Voice: ${selectedVoice}, Company: ${companyName}, Assistant: ${assistantName}`);
+    callLog.info("Scenario resolved", { scenario: scenarioDef.name, version: scenarioDef.version, source: scenarioDef.source, hash: scenarioDef.hash });
 
-    const geminiUrl = `wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent?key=${GEMINI_API_KEY}`;
+    toolset = buildToolset(settings, scenarioDef.tools, scenarioDef.name);
 
-    geminiWs = new WebSocket(geminiUrl);
+    const providerName = resolveProviderName(settings);
+    const modelLog = callLog.child({ component: providerName });
+    model = createRealtimeProvider(providerName, {
+      apiKey: providerName === "openai" ? OPENAI_API_KEY : GEMINI_API_KEY,
+      settings: applyLanguageSettings(settings, currentLanguage),
+      systemInstruction,
+      tools: [...toolset.values()].map((t) => t.declaration),
+      log: modelLog,
+    });
+    inboundAudio = createInboundAudioConverter(model.inputRate);
+    outboundAudio = createOutboundAudioConverter(model.outputRate);
+
+    callLog.info("Model session configured", { provider: model.name, voice: model.voice, language: currentLanguage ? currentLanguage.code : undefined, company: companyName, assistant: assistantName });
+
+    model.on("ready", () => {
+      modelReady = true;
+      silenceSince = Date.now();
+      modelConnectSeconds.observe({ provider: model.name }, (Date.now() - modelConnectStartedAt) / 1000);
+      reconnectAttempts = 0;
+
+      if (!greeted && greeting) {
+        let menuNote = claims.ivrChoice ? ` They chose "${claims.ivrChoice}" in the phone menu.` : "";
+        if (!officeStatus.open) menuNote += " The office is closed right now.";
+        if (callerHistory && callerHistory.lead.name) menuNote += ` This is ${callerHistory.lead.name}, a returning caller: welcome them back by name right after the greeting.`;
+        model.sendText(`(The ${callContext ? "person you called just picked up" : "caller just connected"}.${menuNote} Open with: "${greeting}")`, true);
+      } else if (!greeted && callContext) {
+        model.sendText("(The person you called just picked up. Greet them now.)", true);
+      } else if (replayContext && conversationLog.length > 0) {
+        const history = conversationLog.map((e) => `${e.role}: ${e.text}`).join("\n");
+        model.sendText(`(The line dropped briefly. Conversation so far:\n${history}\nContinue naturally from where you left off.)`, false);
+      }
+      greeted = true;
+      replayContext = false;
 
-    geminiWs.on("open", () => {
-      console.log("[GEMINI] Connected");
+      while (pendingModelText.length > 0) model.sendText(pendingModelText.shift(), true);
+      while (pendingCallerAudio.length > 0) sendCallerAudio(pendingCallerAudio.shift());
+    });
 
-      const setupMsg = {
-        setup: {
-          model: "models/gemini-2.5-flash-native-audio-latest",
-          generation_config: {
-            response_modalities: ["AUDIO"],
-            speech_config: {
-              voice_config: {
-                prebuilt_voice_config: { voice_name: selectedVoice },
-              },
-            },
-          },
-          system_instruction: {
-            parts: [{ text: systemInstruction }],
-          },
-          tools: [
-            {
-              function_declarations: [
-                {
-                  name: "check_availability",
-                  description:
-                    "Check available appointment slots for a given date or range.",
-                  parameters: {
-                    type: "OBJECT",
-                    properties: {
-                      date_description: {
-                        type: "STRING",
-                        description: "The date or range to check",
-                      },
-                    },
-                    required: ["date_description"],
-                  },
-                },
-                {
-                  name: "book_appointment",
-                  description: "Book an appointment slot for the user.",
-                  parameters: {
-                    type: "OBJECT",
-                    properties: {
-                      slot_time: {
-                        type: "STRING",
-                        description: "ISO timestamp of the slot",
-                      },
-                      name: { type: "STRING", description: "User's name" },
-                      email: { type: "STRING", description: "User's email" },
-                      phone: {
-                        type: "STRING",
-                        description: "User's phone number",
-                      },
-                      description: {
-                        type: "STRING",
-                        description: "Reason for appointment",
-                      },
-                    },
-                    required: ["slot_time", "name"],
-                  },
-                },
-                {
-                  name: "save_lead_details",
-                  description: "Save or update lead contact information.",
-                  parameters: {
-                    type: "OBJECT",
-                    properties: {
-                      name: { type: "STRING" },
-                      email: { type: "STRING" },
-                      phone: { type: "STRING" },
-                      service_needed: { type: "STRING" },
-                      address: { type: "STRING" },
-                    },
-                  },
-                },
-              ],
-            },
-          ],
-        },
-      };
+    model.on("transcript", ({ role, text, final }) => {
+      appendTranscript(role, text, final);
+    });
 
-      geminiWs.send(JSON.stringify(setupMsg));
+    model.on("turnComplete", () => {
+      if (ending && agentSpeech.startedAt >= ending.startedAt) ending.turnDone = true;
+      endAgentTurn();
     });
 
-    geminiWs.on("message", async (rawData) => {
-      try {
-        const data = JSON.parse(rawData.toString());
+    model.on("audio", (pcmB64) => {
+      if (aiMuted) return;
+      if (!firstAudioSent && streamSid) {
+        firstAudioSent = true;
+        firstAudioSeconds.observe({ provider: model.name }, (Date.now() - callStartTime) / 1000);
+      }
+      if (awaitingReply) {
+        awaitingReply = false;
+        turnLatencySeconds.observe({ provider: model.name }, (Date.now() - lastCallerSpeechAt) / 1000);
+      }
+      if (!agentSpeech.startedAt) agentSpeech.startedAt = Date.now();
+      agentSpeech.audioMs += (Buffer.byteLength(pcmB64, "base64") / 2 / model.outputRate) * 1000;
+      outboundMixer.pushAgent(outboundAudio.convert(pcmB64));
+      agentAudioUntil = Date.now() + outboundMixer.agentQueuedMs;
+      pumpOutboundAudio();
+    });
 
-        if (data.serverContent?.inputTranscript) {
-          conversationLog.push({ role: 'Caller', text: data.serverContent.inputTranscript });
-        }
+    model.on("interrupted", () => {
+      modelLog.info("Interrupted, clearing Twilio buffer");
+      interruptionsTotal.inc({ provider: model.name });
+      endAgentTurn(agentSpeech.startedAt ? Math.min(Date.now() - agentSpeech.startedAt, agentSpeech.audioMs) : 0);
+      clearAgentAudio();
+    });
 
-        if (data.serverContent?.modelTurn?.parts) {
-          for (const part of data.serverContent.modelTurn.parts) {
-            if (part.text) {
-              conversationLog.push({ role: assistantName, text: part.text });
-            }
-            if (
-              part.inlineData &&
-              part.inlineData.mimeType.startsWith("audio/")
-            ) {
-              const mulawB64 = geminiToTwilio(part.inlineData.data);
-              if (streamSid && twilioWs.readyState === WebSocket.OPEN) {
-                twilioWs.send(
-                  JSON.stringify({
-                    event: "media",
-                    streamSid: streamSid,
-                    media: { payload: mulawB64 },
-                  })
-                );
-              }
-            }
-          }
-        }
+    model.on("toolCall", async (calls) => {
+      modelLog.info("Tool call", { calls: calls.map((c) => ({ id: c.id, tool: c.name, args: c.args })) });
 
-        if (data.serverContent?.interrupted) {
-          console.log("[GEMINI] Interrupted, clearing Twilio buffer");
-          if (streamSid && twilioWs.readyState === WebSocket.OPEN) {
-            twilioWs.send(JSON.stringify({ event: "clear", streamSid }));
-          }
-        }
+      if (interimClip && !aiMuted) outboundMixer.startInterim(interimClip);
 
-        if (data.toolCall) {
-          console.log("[GEMINI] Tool call:", JSON.stringify(data.toolCall));
-
-          if (
-            useTypingSound &&
-            streamSid &&
-            twilioWs.readyState === WebSocket.OPEN
-          ) {
-            twilioWs.send(
-              JSON.stringify({
-                event: "media",
-                streamSid: streamSid,
-                media: { payload: TYPING_SOUND_BASE64 },
-              })
-            );
-          }
+      const toolResponses = [];
+      toolsRunning++;
 
-          const toolResponses = [];
-
-          for (const call of data.toolCall.functionCalls) {
-            let result = {};
-            toolCallsMade.push(call.name);
-            conversationLog.push({ role: 'Tool', text: `${call.name}(${JSON.stringify(call.args || {})})` });
-
-            if (call.name === 'save_lead_details' && call.args) {
-              if (call.args.name) collectedCallerName = call.args.name;
-              if (call.args.phone) callerPhone = call.args.phone;
-            }
-
-            try {
-              if (call.name === "check_availability") {
-                result = await callBase44(
-                  "checkAvailability",
-                  companyId,
-                  call.args
-                );
-              } else if (call.name === "book_appointment") {
-                result = await callBase44(
-                  "bookAppointment",
-                  companyId,
-                  call.args
-                );
-              } else if (call.name === "save_lead_details") {
-                result = await callBase44("saveLead", companyId, call.args);
-              } else {
-                result = { error: `Unknown tool: ${call.name}` };
-              }
-            } catch (e) {
-              console.error(`[TOOL] Error (${call.name}):`, e);
-              result = { error: e.message };
-            }
-
-            toolResponses.push({
-              id: call.id,
-              name: call.name,
-              response: { result: result },
-            });
-          }
+      for (const call of calls) {
+        let result = {};
+        toolCallsMade.push(call.name);
+        logTurn('Tool', `${call.name}(${JSON.stringify(call.args)})`);
+
+        if (call.name === 'save_lead_details') {
+          if (call.args.name) collectedCallerName = call.args.name;
+          if (call.args.phone) callerPhone = call.args.phone;
+          Object.assign(savedLeadDetails, call.args);
+        }
 
-          geminiWs.send(
-            JSON.stringify({
-              tool_response: { function_responses: toolResponses },
-            })
-          );
+        const toolStartedAt = Date.now();
+        try {
+          result = await executeTool(call);
+        } catch (e) {
+          callToolLog.error("Tool error", { tool: call.name, err: e });
+          result = toolError("tool_failed", e.message);
         }
-      } catch (err) {
-        console.error("[GEMINI] Message parse error:", err);
+        toolSeconds.observe({ tool: call.name }, (Date.now() - toolStartedAt) / 1000);
+        toolCallsTotal.inc({ tool: call.name, outcome: result && result.error ? "error" : "ok" });
+
+        toolResponses.push({ id: call.id, name: call.name, result });
+        activeCall.events.emit("tool", { name: call.name, args: call.args, result });
       }
+
+      toolsRunning--;
+      if (toolsRunning === 0) outboundMixer.stopInterim();
+      silenceSince = Date.now();
+      model.sendToolResponses(toolResponses);
     });
 
-    geminiWs.on("close", () => {
-      console.log("[GEMINI] Disconnected");
-      saveCallToBase44();
+    model.on("goAway", (timeLeft) => {
+      modelLog.warn("goAway received, switching sessions", { timeLeft });
+      reconnectLog.push({ at: new Date().toISOString(), reason: "goAway", resumed: model.canResume() });
+      modelReady = false;
+      connectModel();
     });
-    geminiWs.on("error", (err) =>
-      console.error("[GEMINI] Error:", err.message)
-    );
+
+    model.on("close", (code) => {
+      modelReady = false;
+      if (callEnded || twilioWs.readyState !== WebSocket.OPEN) {
+        saveCallToBase44();
+        return;
+      }
+      reconnectModel(`closed with code ${code}`);
+    });
+
+    function reconnectModel(reason) {
+      if (reconnectAttempts >= MODEL_MAX_RECONNECTS) {
+        modelLog.error("Giving up reconnecting, ending call", { attempts: reconnectAttempts });
+        reconnectLog.push({ at: new Date().toISOString(), reason, attempt: reconnectAttempts, gave_up: true });
+        endReason = "model_unavailable";
+        saveCallToBase44();
+        twilioWs.close();
+        return;
+      }
+
+      reconnectAttempts++;
+      const resumable = model.canResume();
+      replayContext = !resumable;
+      const delay = Math.min(250 * 2 ** (reconnectAttempts - 1), 4000);
+      modelLog.warn("Reconnecting", { delayMs: delay, attempt: reconnectAttempts, maxAttempts: MODEL_MAX_RECONNECTS, resuming: resumable, reason });
+      reconnectLog.push({ at: new Date().toISOString(), reason, attempt: reconnectAttempts, resumed: resumable });
+      setTimeout(() => {
+        if (!callEnded) connectModel();
+      }, delay);
+    }
+
+    connectModel();
   } catch (error) {
-    console.error("[CALL] Setup error:", error);
+    callLog.error("Setup error", { err: error });
+    endReason = "setup_error";
     twilioWs.close();
-    return;
   }
+});
 
-  twilioWs.on("message", (rawMsg) => {
-    try {
-      const msg = JSON.parse(rawMsg.toString());
+supervisorWss.on("connection", (ws, req) => {
+  const scope = req.supervisorClaims.companyId;
+  let subscription = null;
+  supervisorLog.info("Connected", { scope: scope || "all companies" });
 
-      if (msg.event === "start") {
-        console.log("[TWILIO] Stream started:", msg.start.streamSid);
-        streamSid = msg.start.streamSid;
-        callStartTime = Date.now();
-        callSid = msg.start.callSid || null;
-        const customParams = msg.start.customParameters || {};
-        if (customParams.callerNumber) callerPhone = customParams.callerNumber;
-        if (customParams.callerPhone) callerPhone = customParams.callerPhone;
-      }
+  function send(payload) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(payload));
+  }
 
-      if (msg.event === "media" && geminiWs?.readyState === WebSocket.OPEN) {
-        const pcmB64 = twilioToGemini(msg.media.payload);
-        geminiWs.send(
-          JSON.stringify({
-            realtime_input: {
-              media_chunks: [
-                {
-                  mime_type: "audio/pcm;rate=16000",
-                  data: pcmB64,
-                },
-              ],
-            },
-          })
-        );
-      }
+  function visibleCalls() {
+    return [...activeCalls.values()].filter((c) => !scope || c.companyId === scope);
+  }
 
-      if (msg.event === "stop") {
-        console.log("[TWILIO] Stream stopped");
-        geminiWs?.close();
-      }
-    } catch (err) {
-      console.error("[TWILIO] Message error:", err);
+  function unsubscribe() {
+    if (!subscription) return;
+    const { call, listeners, audio } = subscription;
+    for (const [event, fn] of Object.entries(listeners)) call.events.off(event, fn);
+    if (audio) call.audioSubscribers--;
+    subscription = null;
+  }
+
+  function subscribe(callId, audio) {
+    const call = visibleCalls().find((c) => c.id === callId || c.callSid === callId);
+    if (!call) {
+      send({ type: "error", message: `No active call ${callId}` });
+      return;
+    }
+
+    unsubscribe();
+    const listeners = {
+      transcript: (entry) => send({ type: "transcript", call_id: call.id, entry }),
+      tool: (tool) => send({ type: "tool", call_id: call.id, ...tool }),
+      ended: () => {
+        send({ type: "call_ended", call_id: call.id });
+        unsubscribe();
+      },
+    };
+    if (audio) listeners.audio = (payload) => send({ type: "audio", call_id: call.id, payload });
+
+    for (const [event, fn] of Object.entries(listeners)) call.events.on(event, fn);
+    if (audio) call.audioSubscribers++;
+    subscription = { call, listeners, audio };
+
+    supervisorLog.info("Subscribed", { callId: call.id, callSid: call.callSid, companyId: call.companyId, audio: !!audio });
+    send({ type: "subscribed", call: summarizeActiveCall(call), transcript: call.transcript, audio_format: audio ? "audio/x-mulaw;rate=8000" : undefined });
+  }
+
+  ws.on("message", (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch (e) {
+      send({ type: "error", message: "Invalid JSON" });
+      return;
+    }
+    if (!msg || typeof msg !== "object" || Array.isArray(msg)) {
+      send({ type: "error", message: "Expected a JSON object" });
+      return;
+    }
+
+    if (msg.type === "list") {
+      send({ type: "calls", calls: visibleCalls().map(summarizeActiveCall) });
+    } else if (msg.type === "subscribe") {
+      subscribe(msg.call_id, !!msg.audio);
+    } else if (msg.type === "unsubscribe") {
+      unsubscribe();
+      send({ type: "unsubscribed" });
+    } else {
+      send({ type: "error", message: `Unknown message type: ${msg.type}` });
     }
   });
 
-  twilioWs.on("close", () => {
-    console.log("[TWILIO] Connection closed");
-    saveCallToBase44();
-    geminiWs?.close();
+  ws.on("close", () => {
+    unsubscribe();
+    supervisorLog.info("Disconnected");
   });
+
+  send({ type: "calls", calls: visibleCalls().map(summarizeActiveCall) });
 });
 
 server.listen(PORT, () => {
-  console.log(`Sarah Media Stream Bridge running on port ${PORT}`);
-  console.log(`  WebSocket: ws://0.0.0.0:${PORT}/ws/twilio`);
-  console.log(`  Health:    http://0.0.0.0:${PORT}/health`);
-  console.log(`  Gemini:    ${GEMINI_API_KEY ? "configured" : "MISSING"}`);
-  console.log(`  Base44:    ${BASE44_API_URL || "NOT SET"}`);
-  console.log(`  Secret:    ${BRIDGE_SECRET ? "set" : "not set"}`);
+  log.info("Sarah Media Stream Bridge running", {
+    port: Number(PORT),
+    websocket: `ws://0.0.0.0:${PORT}/ws/twilio`,
+    monitor: `ws://0.0.0.0:${PORT}/ws/supervisor`,
+    health: `http://0.0.0.0:${PORT}/health`,
+    gemini: GEMINI_API_KEY ? "configured" : "MISSING",
+    openai: OPENAI_API_KEY ? "configured" : "not set",
+    base44: BASE44_API_URL || "NOT SET",
+    secret: BRIDGE_SECRET ? "set" : "not set",
+  });
+  if (BASE44_API_URL && PREWARM_PHONE_NUMBERS.length > 0) prewarmCaches(PREWARM_PHONE_NUMBERS);
 });
@@ -0,0 +1,227 @@
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("./logger");
+
+const SOUNDS_DIR = process.env.SOUNDS_DIR || path.join(__dirname, "sounds");
+const SOUND_SAMPLE_RATE = 8000;
+
+const log = createLogger({ component: "sounds" });
+
+// Seeded PRNG (mulberry32) so generated loops are identical on every start.
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function seconds(value) {
+  return Math.floor(value * SOUND_SAMPLE_RATE);
+}
+
+// A key or mouse click: a short burst of softened noise over a damped tone.
+function addClick(out, at, random, { gain, decayMs, toneHz }) {
+  const decay = (decayMs * SOUND_SAMPLE_RATE) / 1000;
+  const length = Math.min(Math.floor(decay * 5), out.length - at);
+  let smoothed = 0;
+  for (let i = 0; i < length; i++) {
+    smoothed += 0.6 * (random() * 2 - 1 - smoothed);
+    const tone = Math.sin((2 * Math.PI * toneHz * i) / SOUND_SAMPLE_RATE) * Math.exp(-i / (decay * 0.6));
+    out[at + i] += gain * Math.exp(-i / decay) * (0.7 * smoothed + 0.3 * tone);
+  }
+}
+
+function addTyping(out, random, { from = 0, to = out.length, gain = 1 }) {
+  let at = from + seconds(0.05 + random() * 0.2);
+  let burst = 0;
+  while (at < to - seconds(0.05)) {
+    const space = random() < 0.15;
+    addClick(out, at, random, {
+      gain: gain * (space ? 1 : 0.55 + random() * 0.35),
+      decayMs: space ? 9 : 4 + random() * 3,
+      toneHz: space ? 450 + random() * 100 : 900 + random() * 900,
+    });
+    burst++;
+    at += seconds(0.07 + random() * 0.15);
+    if (burst > 8 + random() * 10) {
+      burst = 0;
+      at += seconds(0.3 + random() * 0.5);
+    }
+  }
+}
+
+// Distant voices: band-limited noise gated by a syllable-rate envelope, with
+// pauses between phrases. Heard at a low level this reads as office chatter.
+function addMurmur(out, random, gain) {
+  let low = 0;
+  let high = 0;
+  let envelope = 0;
+  let syllable = 0;
+  let talkingUntil = seconds(random() * 2);
+  let quietUntil = 0;
+  for (let i = 0; i < out.length; i++) {
+    if (i >= talkingUntil && i >= quietUntil) {
+      quietUntil = i + seconds(0.4 + random() * 1.5);
+      talkingUntil = quietUntil + seconds(1.5 + random() * 3);
+    }
+    const talking = i >= quietUntil && i < talkingUntil;
+    if (i % seconds(0.05) === 0) syllable = talking && random() < 0.75 ? 0.4 + random() * 0.6 : 0;
+    envelope += 0.004 * (syllable - envelope);
+
+    const noise = random() * 2 - 1;
+    low += 0.25 * (noise - low);
+    high += 0.05 * (low - high);
+    out[i] += gain * envelope * (low - high);
+  }
+}
+
+function addRoomTone(out, random, gain) {
+  let brown = 0;
+  for (let i = 0; i < out.length; i++) {
+    brown = 0.995 * brown + 0.05 * (random() * 2 - 1);
+    out[i] += gain * brown;
+  }
+}
+
+// Fades the extra tail into the start so the clip loops without a seam.
+function makeLoop(samples, fadeLength) {
+  const length = samples.length - fadeLength;
+  const loop = samples.slice(0, length);
+  for (let i = 0; i < fadeLength; i++) {
+    const t = i / fadeLength;
+    loop[i] = loop[i] * t + samples[length + i] * (1 - t);
+  }
+  return loop;
+}
+
+// Beds are scaled to a target RMS; clicks are too peaky for that and are scaled
+// to a target peak instead.
+function toPcm(samples, { rms, peak }) {
+  let scale;
+  if (rms) {
+    let sumSquares = 0;
+    for (const s of samples) sumSquares += s * s;
+    scale = rms / (Math.sqrt(sumSquares / samples.length) || 1);
+  } else {
+    let max = 0;
+    for (const s of samples) max = Math.max(max, Math.abs(s));
+    scale = peak / (max || 1);
+  }
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    pcm[i] = Math.max(-32768, Math.min(32767, Math.round(samples[i] * scale)));
+  }
+  return pcm;
+}
+
+const GENERATORS = {
+  office() {
+    const random = createRandom(1);
+    const out = new Float32Array(seconds(12.5));
+    addRoomTone(out, random, 1);
+    addMurmur(out, random, 0.6);
+    addTyping(out, random, { from: seconds(3), to: seconds(5.5), gain: 0.15 });
+    return toPcm(makeLoop(out, seconds(0.5)), { rms: 900 });
+  },
+
+  call_center() {
+    const random = createRandom(2);
+    const out = new Float32Array(seconds(12.5));
+    addRoomTone(out, random, 0.6);
+    for (let voice = 0; voice < 6; voice++) addMurmur(out, random, 0.5 + random() * 0.5);
+    addTyping(out, random, { from: seconds(1), to: seconds(4), gain: 0.2 });
+    addTyping(out, random, { from: seconds(7), to: seconds(10), gain: 0.15 });
+    return toPcm(makeLoop(out, seconds(0.5)), { rms: 1400 });
+  },
+
+  typing() {
+    const random = createRandom(3);
+    const out = new Float32Array(seconds(4));
+    addTyping(out, random, {});
+    return toPcm(out, { peak: 9000 });
+  },
+
+  // Someone clicking through a calendar or a customer record.
+  thinking() {
+    const random = createRandom(4);
+    const out = new Float32Array(seconds(4));
+    for (let at = seconds(0.3); at < out.length - seconds(0.2); at += seconds(0.8 + random() * 0.7)) {
+      const click = { gain: 0.7, decayMs: 3, toneHz: 1800 + random() * 600 };
+      addClick(out, at, random, click);
+      if (random() < 0.4) addClick(out, at + seconds(0.11), random, click);
+    }
+    return toPcm(out, { peak: 6000 });
+  },
+};
+
+const AMBIENCE_SOUNDS = ["office", "call_center"];
+const INTERIM_SOUNDS = ["typing", "thinking"];
+
+// Bundled assets override the generated sounds: 8 kHz mono 16-bit PCM WAV
+// files named after the sound, e.g. sounds/call_center.wav.
+function readWav(file) {
+  const wav = fs.readFileSync(file);
+  if (wav.toString("ascii", 0, 4) !== "RIFF" || wav.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("not a WAV file");
+  }
+
+  let format = null;
+  for (let offset = 12; offset + 8 <= wav.length; ) {
+    const id = wav.toString("ascii", offset, offset + 4);
+    const size = wav.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === "fmt ") {
+      format = {
+        encoding: wav.readUInt16LE(body),
+        channels: wav.readUInt16LE(body + 2),
+        sampleRate: wav.readUInt32LE(body + 4),
+        bitsPerSample: wav.readUInt16LE(body + 14),
+      };
+    } else if (id === "data") {
+      if (!format || format.encoding !== 1 || format.channels !== 1 || format.bitsPerSample !== 16 || format.sampleRate !== SOUND_SAMPLE_RATE) {
+        throw new Error("expected 8 kHz mono 16-bit PCM");
+      }
+      const end = Math.min(body + size, wav.length);
+      const pcm = new Int16Array((end - body) >> 1);
+      for (let i = 0; i < pcm.length; i++) pcm[i] = wav.readInt16LE(body + i * 2);
+      return pcm;
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new Error("no audio data");
+}
+
+const loaded = new Map();
+
+function getSound(name) {
+  if (loaded.has(name)) return loaded.get(name);
+
+  let sound = null;
+  const file = path.join(SOUNDS_DIR, `${name}.wav`);
+  if (fs.existsSync(file)) {
+    try {
+      sound = readWav(file);
+      log.info("Loaded sound", { sound: name, file, seconds: sound.length / SOUND_SAMPLE_RATE });
+    } catch (e) {
+      log.warn("Unusable sound file, using the generated one", { sound: name, file, error: e.message });
+    }
+  }
+  if (!sound || sound.length === 0) sound = GENERATORS[name]();
+
+  loaded.set(name, sound);
+  return sound;
+}
+
+function getAmbience(name) {
+  return AMBIENCE_SOUNDS.includes(name) ? getSound(name) : null;
+}
+
+function getInterimClip(name) {
+  return INTERIM_SOUNDS.includes(name) ? getSound(name) : null;
+}
+
+module.exports = { getAmbience, getInterimClip };
@@ -0,0 +1,123 @@
+const { createLogger } = require("./logger");
+
+const SUMMARY_API_URL = process.env.SUMMARY_API_URL || "https://generativelanguage.googleapis.com/v1beta/models";
+const SUMMARY_MODEL = process.env.SUMMARY_MODEL || "gemini-2.5-flash";
+const SUMMARY_TIMEOUT_MS = parseInt(process.env.SUMMARY_TIMEOUT_MS, 10) || 20000;
+
+const DISPOSITIONS = ["booked", "lead_only", "needs_callback", "spam", "wrong_number", "no_conversation"];
+
+const EXTRACTED_FIELDS = {
+  name: "Caller's full name",
+  phone: "Best callback number",
+  email: "Email address",
+  address: "Property address",
+  damage_type: "Type of damage or problem (e.g. hail, wind, leak, missing shingles)",
+  insurance_carrier: "Insurance company name",
+  insurance_claim_number: "Insurance claim number",
+  preferred_callback_time: "When the caller wants to be called back",
+};
+
+const SUMMARY_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    summary: { type: "STRING", description: "Two or three sentences for office staff: who called, what they need, what was agreed." },
+    disposition: { type: "STRING", enum: DISPOSITIONS },
+    sentiment: { type: "NUMBER", description: "Caller sentiment from -1 (angry) to 1 (happy)." },
+    urgency: { type: "INTEGER", description: "1 (no rush) to 5 (emergency, e.g. active leak)." },
+    extracted: {
+      type: "OBJECT",
+      properties: Object.fromEntries(
+        Object.entries(EXTRACTED_FIELDS).map(([key, description]) => [key, { type: "STRING", description }])
+      ),
+    },
+  },
+  required: ["summary", "disposition", "sentiment", "urgency"],
+};
+
+function buildSummaryPrompt(conversationLog, context) {
+  const transcript = conversationLog.map((e) => `${e.role}: ${e.text}`).join("\n");
+  return `You review phone calls handled by ${context.assistantName}, the AI receptionist for ${context.companyName}.
+Summarize the call below for the office staff who will follow up.
+
+Dispositions:
+- booked: an appointment or inspection was booked
+- lead_only: a real prospect left details but nothing was booked
+- needs_callback: the caller asked for or needs a call back from a person
+- spam: robocall, sales pitch or abuse
+- wrong_number: the caller meant to reach someone else
+- no_conversation: nobody really spoke
+
+Only fill "extracted" fields the caller actually said. Leave out anything you are unsure of.
+
+Tools used on the call: ${context.toolCalls.length > 0 ? context.toolCalls.join(", ") : "none"}
+Details already saved by the assistant: ${JSON.stringify(context.savedLead || {})}
+
+Transcript:
+${transcript}`;
+}
+
+function clamp(value, min, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  return Math.min(max, Math.max(min, n));
+}
+
+function normalizeSummary(raw) {
+  const extracted = {};
+  for (const key of Object.keys(EXTRACTED_FIELDS)) {
+    const value = raw.extracted && raw.extracted[key];
+    if (typeof value === "string" && value.trim()) extracted[key] = value.trim();
+  }
+  return {
+    summary: String(raw.summary || "").trim(),
+    disposition: DISPOSITIONS.includes(raw.disposition) ? raw.disposition : "needs_callback",
+    sentiment: clamp(raw.sentiment, -1, 1),
+    urgency: clamp(Math.round(Number(raw.urgency)), 1, 5),
+    extracted,
+  };
+}
+
+function createCallSummarizer({ apiKey, model = SUMMARY_MODEL, url = SUMMARY_API_URL, log = createLogger({ component: "summary" }) }) {
+  return {
+    model,
+
+    // Resolves to null when the call had no conversation or the model call fails,
+    // so the call log is still saved without a summary.
+    async summarize(conversationLog, context) {
+      if (!conversationLog.some((e) => e.role === "Caller")) {
+        return { summary: "", disposition: "no_conversation", sentiment: null, urgency: null, extracted: {} };
+      }
+
+      try {
+        const resp = await fetch(`${url}/${model}:generateContent?key=${apiKey}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            contents: [{ role: "user", parts: [{ text: buildSummaryPrompt(conversationLog, context) }] }],
+            generationConfig: {
+              temperature: 0.2,
+              responseMimeType: "application/json",
+              responseSchema: SUMMARY_SCHEMA,
+            },
+          }),
+          signal: AbortSignal.timeout(SUMMARY_TIMEOUT_MS),
+        });
+
+        if (!resp.ok) {
+          const text = await resp.text();
+          log.error("Summary request failed", { status: resp.status, response: text });
+          return null;
+        }
+
+        const data = await resp.json();
+        const text = data.candidates?.[0]?.content?.parts?.map((p) => p.text || "").join("") || "";
+        return normalizeSummary(JSON.parse(text));
+      } catch (e) {
+        log.error("Summary error", { err: e });
+        return null;
+      }
+    },
+  };
+}
+
+module.exports = { createCallSummarizer, DISPOSITIONS };
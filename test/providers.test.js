@@ -0,0 +1,185 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { once } = require("events");
+const { WebSocketServer } = require("ws");
+const { createGeminiProvider } = require("../providers/gemini");
+const { createOpenAIProvider } = require("../providers/openai");
+
+const quietLog = { info() {}, warn() {}, error() {} };
+
+const TOOLS = [
+  {
+    name: "check_availability",
+    description: "Check open slots",
+    parameters: { type: "OBJECT", properties: { date: { type: "STRING" } }, required: ["date"] },
+  },
+];
+
+// A realtime API stand-in: accepts one connection and hands the test its
+// messages in order.
+async function startMockServer() {
+  const wss = new WebSocketServer({ port: 0 });
+  await once(wss, "listening");
+  const received = [];
+  const waiting = [];
+  let socket = null;
+  let request = null;
+
+  const connected = new Promise((resolve) => {
+    wss.on("connection", (ws, req) => {
+      socket = ws;
+      request = req;
+      ws.on("message", (raw) => {
+        const message = JSON.parse(raw.toString());
+        if (waiting.length > 0) waiting.shift()(message);
+        else received.push(message);
+      });
+      resolve();
+    });
+  });
+
+  return {
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    connected,
+    get request() { return request; },
+    nextMessage() {
+      if (received.length > 0) return Promise.resolve(received.shift());
+      return new Promise((resolve) => waiting.push(resolve));
+    },
+    send(payload) {
+      socket.send(JSON.stringify(payload));
+    },
+    closeClient(code) {
+      socket.close(code);
+    },
+    stop() {
+      for (const client of wss.clients) client.terminate();
+      return new Promise((resolve) => wss.close(resolve));
+    },
+  };
+}
+
+test("gemini adapter against a mock Live API", async () => {
+  const server = await startMockServer();
+  const provider = createGeminiProvider({
+    apiKey: "test-key",
+    settings: { voice_id: "Puck" },
+    systemInstruction: "You are Sarah.",
+    tools: TOOLS,
+    url: server.url,
+    log: quietLog,
+  });
+
+  try {
+    const ready = once(provider, "ready");
+    provider.connect();
+    await server.connected;
+    assert.match(server.request.url, /\?key=test-key$/);
+
+    const { setup } = await server.nextMessage();
+    assert.strictEqual(setup.generation_config.speech_config.voice_config.prebuilt_voice_config.voice_name, "Puck");
+    assert.strictEqual(setup.system_instruction.parts[0].text, "You are Sarah.");
+    assert.deepStrictEqual(setup.tools, [{ function_declarations: TOOLS }]);
+    server.send({ setupComplete: {} });
+    await ready;
+
+    assert.strictEqual(provider.sendAudio("AAAA"), true);
+    const { realtime_input } = await server.nextMessage();
+    assert.deepStrictEqual(realtime_input.media_chunks, [{ mime_type: "audio/pcm;rate=16000", data: "AAAA" }]);
+
+    const audio = once(provider, "audio");
+    server.send({ serverContent: { modelTurn: { parts: [{ inlineData: { mimeType: "audio/pcm;rate=24000", data: "BBBB" } }] } } });
+    assert.deepStrictEqual(await audio, ["BBBB"]);
+
+    const toolCall = once(provider, "toolCall");
+    server.send({ toolCall: { functionCalls: [{ id: "call-1", name: "check_availability", args: { date: "tomorrow" } }] } });
+    assert.deepStrictEqual(await toolCall, [[{ id: "call-1", name: "check_availability", args: { date: "tomorrow" } }]]);
+    provider.sendToolResponses([{ id: "call-1", name: "check_availability", result: { slots: ["10:00"] } }]);
+    const { tool_response } = await server.nextMessage();
+    assert.deepStrictEqual(tool_response.function_responses, [{ id: "call-1", name: "check_availability", response: { result: { slots: ["10:00"] } } }]);
+
+    const interrupted = once(provider, "interrupted");
+    server.send({ serverContent: { interrupted: true } });
+    await interrupted;
+
+    const closed = once(provider, "close");
+    server.closeClient(1011);
+    assert.deepStrictEqual(await closed, [1011]);
+  } finally {
+    provider.close();
+    await server.stop();
+  }
+});
+
+test("openai adapter against a mock Realtime API", async () => {
+  const server = await startMockServer();
+  const provider = createOpenAIProvider({
+    apiKey: "test-key",
+    settings: { openai_voice: "sage" },
+    systemInstruction: "You are Sarah.",
+    tools: TOOLS,
+    url: server.url,
+    log: quietLog,
+  });
+
+  try {
+    const ready = once(provider, "ready");
+    provider.connect();
+    await server.connected;
+    assert.strictEqual(server.request.headers.authorization, "Bearer test-key");
+    assert.match(server.request.url, /\?model=/);
+
+    const { type, session } = await server.nextMessage();
+    assert.strictEqual(type, "session.update");
+    assert.strictEqual(session.voice, "sage");
+    assert.strictEqual(session.instructions, "You are Sarah.");
+    assert.deepStrictEqual(session.tools, [
+      {
+        type: "function",
+        name: "check_availability",
+        description: "Check open slots",
+        parameters: { type: "object", properties: { date: { type: "string" } }, required: ["date"] },
+      },
+    ]);
+    server.send({ type: "session.updated" });
+    await ready;
+
+    assert.strictEqual(provider.sendAudio("AAAA"), true);
+    assert.deepStrictEqual(await server.nextMessage(), { type: "input_audio_buffer.append", audio: "AAAA" });
+
+    const audio = once(provider, "audio");
+    server.send({ type: "response.created" });
+    server.send({ type: "response.audio.delta", delta: "BBBB" });
+    assert.deepStrictEqual(await audio, ["BBBB"]);
+
+    const interrupted = once(provider, "interrupted");
+    server.send({ type: "input_audio_buffer.speech_started" });
+    await interrupted;
+
+    const toolCall = once(provider, "toolCall");
+    server.send({
+      type: "response.done",
+      response: { output: [{ type: "function_call", call_id: "call-1", name: "check_availability", arguments: '{"date":"tomorrow"}' }] },
+    });
+    assert.deepStrictEqual(await toolCall, [[{ id: "call-1", name: "check_availability", args: { date: "tomorrow" } }]]);
+    provider.sendToolResponses([{ id: "call-1", name: "check_availability", result: { slots: ["10:00"] } }]);
+    assert.deepStrictEqual(await server.nextMessage(), {
+      type: "conversation.item.create",
+      item: { type: "function_call_output", call_id: "call-1", output: '{"slots":["10:00"]}' },
+    });
+    assert.deepStrictEqual(await server.nextMessage(), { type: "response.create" });
+
+    // Speech while nothing is playing is not an interruption.
+    let lateInterrupt = false;
+    provider.on("interrupted", () => (lateInterrupt = true));
+    server.send({ type: "input_audio_buffer.speech_started" });
+
+    const closed = once(provider, "close");
+    server.closeClient(1000);
+    assert.deepStrictEqual(await closed, [1000]);
+    assert.strictEqual(lateInterrupt, false);
+  } finally {
+    provider.close();
+    await server.stop();
+  }
+});
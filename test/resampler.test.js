@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createResampler, createInboundAudioConverter } = require("../resampler");
+const { mulawEncode, createMulawDecoder } = require("../mulaw");
+
+function sine(rate, hz, length, amplitude = 10000) {
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i++) samples[i] = amplitude * Math.sin((2 * Math.PI * hz * i) / rate);
+  return samples;
+}
+
+function resampleInChunks(inRate, outRate, input, chunkSize) {
+  const resampler = createResampler(inRate, outRate);
+  const out = [];
+  const boundaries = [];
+  for (let i = 0; i < input.length; i += chunkSize) {
+    const chunk = input.subarray(i, Math.min(i + chunkSize, input.length));
+    out.push(...resampler.process(chunk, chunk.length));
+    boundaries.push(out.length);
+  }
+  return { samples: Int16Array.from(out), boundaries };
+}
+
+// Fits a sine and cosine at the test frequency (absorbing the filter's delay and
+// gain) and compares what is left over with the fitted signal.
+function snrDb(samples, rate, hz) {
+  let ss = 0, sc = 0, cc = 0, ys = 0, yc = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.sin((2 * Math.PI * hz * i) / rate);
+    const c = Math.cos((2 * Math.PI * hz * i) / rate);
+    ss += s * s; sc += s * c; cc += c * c; ys += samples[i] * s; yc += samples[i] * c;
+  }
+  const det = ss * cc - sc * sc;
+  const a = (ys * cc - yc * sc) / det;
+  const b = (yc * ss - ys * sc) / det;
+  let signal = 0, noise = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const fit = a * Math.sin((2 * Math.PI * hz * i) / rate) + b * Math.cos((2 * Math.PI * hz * i) / rate);
+    signal += fit * fit;
+    noise += (samples[i] - fit) ** 2;
+  }
+  return 10 * Math.log10(signal / noise);
+}
+
+for (const [inRate, outRate] of [[8000, 16000], [8000, 24000], [24000, 8000]]) {
+  test(`${inRate} to ${outRate} Hz keeps a 1 kHz sine clean`, () => {
+    const { samples } = resampleInChunks(inRate, outRate, sine(inRate, 1000, inRate), 160);
+    // Skip the filter's warm-up.
+    const settled = samples.subarray(outRate / 100);
+    assert.ok(snrDb(settled, outRate, 1000) > 80, `SNR ${snrDb(settled, outRate, 1000).toFixed(1)} dB`);
+  });
+}
+
+test("chunk size does not change the output", () => {
+  const input = sine(8000, 440, 8000);
+  const even = resampleInChunks(8000, 24000, input, 160).samples;
+  const odd = resampleInChunks(8000, 24000, input, 161).samples;
+  const whole = resampleInChunks(8000, 24000, input, input.length).samples;
+  assert.deepStrictEqual(odd, even);
+  assert.deepStrictEqual(even, whole);
+});
+
+test("no discontinuity at chunk boundaries", () => {
+  const { samples, boundaries } = resampleInChunks(8000, 16000, sine(8000, 300, 8000), 161);
+  // A 300 Hz sine at 16 kHz moves at most 2π·300/16000 of its amplitude per sample.
+  const maxStep = ((2 * Math.PI * 300) / 16000) * 10000 * 1.05;
+  for (const at of boundaries.slice(1, -1)) {
+    assert.ok(Math.abs(samples[at] - samples[at - 1]) <= maxStep, `jump of ${samples[at] - samples[at - 1]} at sample ${at}`);
+  }
+});
+
+test("inbound converter keeps every sample of odd-length payloads", () => {
+  const converter = createInboundAudioConverter(16000);
+  const decoder = createMulawDecoder();
+  const input = sine(8000, 440, 8000);
+  let outSamples = 0;
+  for (let i = 0; i < input.length; i += 161) {
+    const chunk = Buffer.from(Array.from(input.subarray(i, i + 161), (s) => mulawEncode(Math.round(s))));
+    outSamples += Buffer.from(converter.convert(decoder.decode(chunk)), "base64").length / 2;
+  }
+  assert.strictEqual(outSamples, input.length * 2);
+});